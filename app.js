@@ -4,61 +4,31 @@
  */
 
 import { PoseLandmarker, FilesetResolver } from "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/vision_bundle.mjs";
-
-// ============================================
-// CONFIG
-// ============================================
-
-const CONFIG = {
-  LEFT: {
-    WRIST: 15,
-    SHOULDER: 11,
-    HIP: 23,
-    KNEE: 25
-  },
-  RIGHT: {
-    WRIST: 16,
-    SHOULDER: 12,
-    HIP: 24,
-    KNEE: 26
-  },
-  HEAD_LANDMARK: 0,
-  TORSO_METERS: 0.45,
-
-  SMOOTHING_ALPHA: 0.15,
-  MAX_REALISTIC_VELOCITY: 8.0,
-  ZERO_BAND: 0.1,
-  MIN_DT: 0.016,
-  MAX_DT: 0.1,
-
-  LOCKOUT_VY_CUTOFF: 0.6,
-  LOCKOUT_SPEED_CUTOFF: 2.0,
-
-  RESET_GRACE_MS_AFTER_LOCK: 5000,
-  HIKE_VY_THRESHOLD: 0.3,
-  HIKE_SPEED_THRESHOLD: 0.5,
-
-  BASELINE_REPS: 3,
-  DROP_WARN: 15,
-  DROP_FAIL: 20,
-
-  MIN_DET_CONF: 0.5,
-  MIN_TRACK_CONF: 0.5,
-
-  MOVEMENT: {
-    SNATCH_MIN_HEIGHT_ABOVE_SHOULDER: 0.05,
-    CLEAN_RACK_HEIGHT_MIN: -0.1,
-    CLEAN_RACK_HEIGHT_MAX: 0.15,
-    CLEAN_HORIZONTAL_PROXIMITY: 0.18,
-    SWING_MAX_HEIGHT_ABOVE_SHOULDER: 0.05,
-    SWING_MIN_HEIGHT_ABOVE_HIP: 0.1,
-    PRESS_VELOCITY_THRESHOLD: 3.5
-  },
-
-  MAKE_WEBHOOK_URL: "https://hook.us2.make.com/0l88dnosrk2t8a29yfk83fej8hp8j3jk",
-
-  DEBUG_MODE: true
-};
+import { CONFIG, REP_LISTS, mergeConfig } from "./config.js";
+import { createRepEngine, getWristZone, getZoneBounds, isWristInFloorZone, formatDrop, summarizeSet } from "./engine.js";
+import { createTraceFrame, buildTrace, isTrace, replayTrace, traceSetup, applyTraceSetup } from "./trace.js";
+import { createSnatchTest, formatClock } from "./snatch-test.js";
+import { createWorkoutProgram, validateProgram, formatTargets } from "./program.js";
+import {
+  createSessionId, saveSession, deleteSession, listSessions, findUnfinishedSession,
+  saveAthlete, deleteAthlete, listAthletes
+} from "./storage.js";
+import { createAthlete, recordBaselines, validateMovementOverrides, sanitizeMovementOverrides } from "./athletes.js";
+import { createThresholdWizard } from "./threshold-wizard.js";
+import { PROGRESS_MOVEMENTS, sessionAthletes, athleteSessions, movementTrend, snatchTestTrend, weeklyChange } from "./progress.js";
+import { LV_HANDS, pressProfiles, e1rmTrend } from "./load-velocity.js";
+import { summarizeTempo, summarizeSession, restBetween, formatWorkRest } from "./density.js";
+import { formatStopSignal } from "./autoregulation.js";
+import { repTypesFor, setReps, relabelRep, deleteRep, insertRep, splitSet, mergeSets } from "./rep-review.js";
+import {
+  SETTINGS, currentSettings, validateSettings, settingsLayer, loadPresets, savePreset, deletePreset,
+  loadActiveSettings, saveActiveSettings, encodeSettings, settingsFromUrl
+} from "./settings.js";
+import { createOutbox } from "./outbox.js";
+import {
+  loadDestinations, saveDestinations, createDestination, buildExportPayload, buildRepCsv,
+  parseHeaders, formatHeaders
+} from "./exporters.js";
 
 // ============================================
 // STATE
@@ -69,46 +39,70 @@ let state = {
   canvas: null,
   ctx: null,
   landmarker: null,
+  engine: createRepEngine(CONFIG),
+  outbox: createOutbox(CONFIG, () => renderOutbox(), destinationSecret),
+  destinations: loadDestinations(CONFIG),
   isModelLoaded: false,
   isVideoReady: false,
   isTestRunning: false,
-  testStage: "IDLE",
   timeMs: 0,
   lastPose: null,
+  lastWorld: null,
+
+  // Previous rep's path, the lockout label and the set's stop signal, for
+  // the canvas overlay
+  overlay: {
+    lastRepCurve: null,
+    flash: null,
+    drops: {},
+    stop: null
+  },
 
-  activeTrackingSide: "left",
-  lockedSide: "unknown",
-  armingSide: null,
+  // Velocity against video time for the rep timeline (uploaded files only)
+  timeline: {
+    samples: [],
+    maxVelocity: 0
+  },
 
-  prevWrist: null,
-  lockedCalibration: null,
-  smoothedVelocity: 0,
-  smoothedVy: 0,
-  lastSpeed: 0,
-  lastVy: 0,
+  videoExport: {
+    recorder: null,
+    chunks: [],
+    startedAt: null,
+    clockStart: null
+  },
 
-  parkingConfirmed: false,
-  prevHeadY: 0,
+  session: createSession(),
 
-  phase: "IDLE",
-  currentRepPeak: 0,
-  overheadHoldCount: 0,
+  athlete: null,
+  athletes: [],
+  wizard: null,
+  pressMinVelocity: null,
 
-  session: {
-    currentSet: null,
-    history: []
+  // Detection settings in use: every SETTINGS key, and the preset they came from
+  settings: {
+    name: null,
+    values: currentSettings(CONFIG),
+    modified: false
   },
 
-  repStartedFrom: null,
-  currentRepPeakWristY: 1.0,
-  currentRepPeakWristX: 0.5,
+  snatchTest: null,
+  snatchTestReported: false,
+
+  workout: null,
+  workoutReported: false,
+
+  isReplaying: false,
+  isAnalyzing: false,
+  analysisCancelled: false,
 
-  cleanHistory: [],
-  pressHistory: [],
-  cleanBaseline: 0,
-  pressBaseline: 0,
+  lastDetectTs: -1,
+  detectOffsetMs: 0,
 
-  endingConfirmCount: 0
+  trace: {
+    recording: false,
+    startedAt: null,
+    frames: []
+  }
 };
 
 // ============================================
@@ -123,10 +117,52 @@ async function initializeApp() {
   document.getElementById("btn-camera").onclick = startCamera;
   document.getElementById("file-input").onchange = handleUpload;
   document.getElementById("btn-start-test").onclick = toggleTest;
+  document.getElementById("btn-analyze").onclick = analyzeFile;
+  document.getElementById("bell-config").onchange = handleBellConfigChange;
+  document.getElementById("bell-left-kg").onchange = handleBellWeightChange;
+  document.getElementById("bell-right-kg").onchange = handleBellWeightChange;
+  document.getElementById("athlete-height-cm").onchange = handleHeightChange;
+  document.getElementById("athlete-select").onchange = handleAthleteChange;
+  document.getElementById("btn-athlete").onclick = toggleAthletePanel;
+  document.getElementById("btn-new-athlete").onclick = addAthlete;
+  document.getElementById("btn-wizard-skip").onclick = skipWizardStep;
+  document.getElementById("btn-wizard-cancel").onclick = closeWizard;
+  document.getElementById("btn-settings").onclick = toggleSettingsPanel;
+  document.getElementById("preset-select").onchange = handlePresetChange;
+  document.getElementById("btn-save-preset").onclick = saveSettingsPreset;
+  document.getElementById("btn-delete-preset").onclick = deleteSettingsPreset;
+  document.getElementById("btn-share-settings").onclick = shareSettings;
+  document.getElementById("btn-reset-settings").onclick = resetSettings;
+  initSnatchTestPicker();
+  initProgramPicker();
   document.getElementById("btn-reset").onclick = resetSession;
 
   const saveBtn = document.getElementById("btn-save");
-  if (saveBtn) saveBtn.onclick = exportToMake;
+  if (saveBtn) saveBtn.onclick = () => exportSession();
+
+  document.getElementById("btn-trace").onclick = toggleTraceRecording;
+  document.getElementById("btn-video").onclick = toggleVideoRecording;
+  document.getElementById("btn-history").onclick = toggleHistoryPanel;
+  document.getElementById("btn-review").onclick = toggleReviewPanel;
+  document.getElementById("btn-progress").onclick = toggleProgressPanel;
+  document.getElementById("progress-athlete").onchange = renderProgress;
+  document.getElementById("progress-movement").onchange = renderProgress;
+  document.getElementById("btn-load-velocity").onclick = toggleLoadVelocityPanel;
+  document.getElementById("lv-hand").onchange = renderLoadVelocity;
+  document.getElementById("lv-mvt").onchange = handleMinVelocityChange;
+  document.getElementById("btn-outbox").onclick = toggleOutboxPanel;
+  document.getElementById("btn-destinations").onclick = toggleDestinationsPanel;
+  document.getElementById("btn-add-webhook").onclick = addWebhookDestination;
+  document.getElementById("trace-input").onchange = handleTraceUpload;
+  document.getElementById("timeline-canvas").onclick = handleTimelineClick;
+  document.getElementById("btn-timeline-play").onclick = toggleTimelinePlayback;
+  document.getElementById("timeline-rate").onchange = handlePlaybackRateChange;
+
+  initSettings();
+  bindEngineEvents(state.engine);
+  await loadAthletes();
+  await recoverUnfinishedSession();
+  startOutbox();
 
   const visionGen = await FilesetResolver.forVisionTasks(
     "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm"
@@ -176,6 +212,7 @@ async function startCamera() {
   });
 
   setStatus("Activating Optics...", "#fbbf24");
+  showTimeline(false);
   state.video.srcObject = stream;
   state.video.src = "";
   state.video.play();
@@ -187,6 +224,8 @@ function onVideoReady() {
   state.canvas.height = state.video.videoHeight;
 
   document.getElementById("btn-start-test").disabled = false;
+  document.getElementById("btn-analyze").disabled = !!state.video.srcObject;
+  showTimeline(!state.video.srcObject);
 
   if (state.video.src) {
     const p = state.video.play();
@@ -207,14 +246,14 @@ async function toggleTest() {
   if (!state.isTestRunning) {
     state.isTestRunning = true;
 
-    if (state.testStage !== "RUNNING") {
-      state.testStage = "IDLE";
-    }
-
     document.getElementById("btn-start-test").textContent = "Pause Test";
+
+    // Live physics runs on the animation clock, so the file plays at normal speed
+    state.video.playbackRate = 1;
+    document.getElementById("timeline-rate").value = "1";
     document.getElementById("btn-reset").disabled = false;
 
-    if (state.testStage === "IDLE") {
+    if (state.engine.state.testStage === "IDLE") {
       setStatus("Scanning: Park hand below knee...", "#fbbf24");
       resetMovementDisplay();
     } else {
@@ -238,7 +277,8 @@ async function toggleTest() {
 
 async function masterLoop(timestamp) {
   requestAnimationFrame(masterLoop);
-  if (!state.isModelLoaded || !state.video) return;
+  drawTimeline();
+  if (!state.isModelLoaded || !state.video || state.isReplaying || state.isAnalyzing) return;
 
   state.timeMs = timestamp;
 
@@ -247,15 +287,7 @@ async function masterLoop(timestamp) {
 
   let pose = null;
   if (state.landmarker && state.video.readyState >= 2) {
-    try {
-      const results = state.landmarker.detectForVideo(state.video, timestamp);
-      if (results && results.landmarks && results.landmarks.length > 0) {
-        pose = results.landmarks[0];
-        state.lastPose = pose;
-      }
-    } catch(e) {
-      console.warn("Detection error:", e);
-    }
+    pose = detectPose(timestamp);
   }
 
   if (!pose) {
@@ -264,600 +296,1428 @@ async function masterLoop(timestamp) {
   }
 
   if (state.isTestRunning) {
-    runPhysics(pose, state.timeMs);
-
-    if (state.testStage === "IDLE") {
-      checkStartCondition(pose, state.timeMs);
-    }
-
-    if (state.testStage === "RUNNING") {
-      runMovementLogic(pose);
-      checkEndCondition(pose, state.timeMs);
-    }
+    processFrame({
+      pose,
+      world: state.lastWorld,
+      timeMs: state.timeMs,
+      videoTimeMs: state.video.srcObject ? null : state.video.currentTime * 1000,
+      width: state.canvas.width,
+      height: state.canvas.height
+    });
   }
 
   drawOverlay();
 }
 
-// ============================================
-// START/END CONDITIONS
-// ============================================
+// MediaPipe's VIDEO mode rejects timestamps that go backwards, which happens
+// when switching between the rAF clock and a file's media time. Shift the
+// detector clock forward when needed but keep the spacing between frames.
+function detectPose(timestampMs) {
+  if (timestampMs + state.detectOffsetMs <= state.lastDetectTs) {
+    state.detectOffsetMs = state.lastDetectTs + 1 - timestampMs;
+  }
+  const detectTs = timestampMs + state.detectOffsetMs;
+  state.lastDetectTs = detectTs;
 
-function checkStartCondition(pose, timeMs) {
-  if (state.testStage !== "IDLE") return;
+  try {
+    const results = state.landmarker.detectForVideo(state.video, detectTs);
+    if (results && results.landmarks && results.landmarks.length > 0) {
+      state.lastPose = results.landmarks[0];
+      state.lastWorld = results.worldLandmarks && results.worldLandmarks.length ? results.worldLandmarks[0] : null;
+      return results.landmarks[0];
+    }
+  } catch(e) {
+    console.warn("Detection error:", e);
+  }
 
-  const lWrist = pose[CONFIG.LEFT.WRIST];
-  const rWrist = pose[CONFIG.RIGHT.WRIST];
-  if (!lWrist || !rWrist) return;
+  return null;
+}
 
-  const lY = lWrist.y;
-  const rY = rWrist.y;
-  const activeSide = lY > rY ? "left" : "right";
+function processFrame(frame) {
+  if (state.trace.recording && !state.isReplaying) {
+    state.trace.frames.push(createTraceFrame(frame));
+  }
 
-  state.activeTrackingSide = activeSide;
+  state.engine.processFrame(frame);
+  updateCalibrationDisplay();
+  updateDensityDisplay(frame.timeMs);
 
-  const inZone = isWristInFloorZone(pose, activeSide);
-  const hikingDown = state.lastVy > 0.3 && state.lastSpeed > 0.5;
+  if (state.snatchTest) updateSnatchTest(frame.timeMs);
+  if (state.workout) updateWorkout(frame.timeMs);
+  if (state.wizard) updateWizard(frame);
+}
 
-  if (CONFIG.DEBUG_MODE && inZone) {
-    console.log(`[START] Side:${activeSide} | Zone:${inZone} | Hike:${hikingDown} | Vy:${state.lastVy.toFixed(2)}`);
+function handleBellConfigChange(e) {
+  if (!state.engine.setBellConfig(e.target.value)) {
+    alert("Finish the current set before switching bell configuration.");
+    e.target.value = state.engine.state.bellConfig;
+    return;
   }
 
-  if (inZone && hikingDown) {
-    console.log(`🚀 STARTING SET: ${activeSide}`);
-    startNewSet(activeSide);
-  }
+  setStatus(`${e.target.value === "double" ? "Double" : "Single"} Kettlebell — Park to start`, "#3b82f6");
 }
 
-function checkEndCondition(pose, timeMs) {
-  if (state.testStage !== "RUNNING") return;
-  if (!state.session.currentSet) return;
+// The first weight entered fills the other hand too, in its box, so mixed
+// weights (24/20) only need the other side changed
+function handleBellWeightChange(e) {
+  const leftInput = document.getElementById("bell-left-kg");
+  const rightInput = document.getElementById("bell-right-kg");
+  const other = e.target === leftInput ? rightInput : leftInput;
+  if (!other.value) other.value = e.target.value;
+
+  state.engine.setBellWeights({
+    left: parseFloat(leftInput.value) || null,
+    right: parseFloat(rightInput.value) || null
+  });
+}
 
-  const grace = timeMs - state.session.currentSet.lockedAtMs;
+function handleHeightChange(e) {
+  const heightCm = parseFloat(e.target.value);
+  state.engine.setCalibrationReference({ heightM: heightCm > 0 ? heightCm / 100 : null });
+  updateCalibrationDisplay();
+}
 
-  const INITIAL_GRACE_MS = 5000;
-  const totalReps = (state.cleanHistory.length || 0) + (state.pressHistory.length || 0);
-  if (grace < INITIAL_GRACE_MS && totalReps === 0) {
-    return;
+// ============================================
+// ATHLETES
+// ============================================
+
+async function loadAthletes() {
+  try {
+    state.athletes = await listAthletes();
+  } catch (e) {
+    console.warn("Athlete profiles unavailable:", e);
+    state.athletes = [];
   }
+  renderAthleteOptions();
+}
 
-  if (grace < CONFIG.RESET_GRACE_MS_AFTER_LOCK) return;
+function renderAthleteOptions() {
+  const select = document.getElementById("athlete-select");
+  select.textContent = "";
+  select.appendChild(new Option("Guest", ""));
+  state.athletes.forEach(a => select.appendChild(new Option(a.name, a.id)));
+  select.value = state.athlete ? state.athlete.id : "";
+}
 
-  if (state.phase === "CONCENTRIC") return;
+// Sessions belong to one athlete, so switching with sets recorded starts a
+// new session (the old one stays in History)
+function handleAthleteChange(e) {
+  const athlete = state.athletes.find(a => a.id === e.target.value) || null;
+  if (!switchAthlete(athlete)) e.target.value = state.athlete ? state.athlete.id : "";
+}
 
-  const sideIdx = state.lockedSide === "left" ? CONFIG.LEFT : CONFIG.RIGHT;
-  const wrist = pose[sideIdx.WRIST];
-  if (!wrist) return;
+function switchAthlete(athlete) {
+  if (state.engine.state.testStage === "RUNNING") {
+    alert("Finish the current set before switching athletes.");
+    return false;
+  }
 
-  const inZone = isWristInFloorZone(pose, state.lockedSide);
-  const standingUp = state.lastVy < -0.3 && state.lastSpeed > 0.5;
+  if (state.session.history.length) {
+    if (!confirm(`Start a new session for ${athlete ? athlete.name : "Guest"}? The current one is kept in History.`)) return false;
+    applyAthlete(athlete);
+    resetSession();
+  } else {
+    applyAthlete(athlete);
+    state.session.athlete = athleteRef(athlete);
+  }
 
-  if (!state.endingConfirmCount) state.endingConfirmCount = 0;
+  setStatus(`Athlete: ${athlete ? athlete.name : "Guest"}`, "#3b82f6");
+  return true;
+}
 
-  if (inZone && standingUp) {
-    state.endingConfirmCount++;
+// Thresholds, bests and height follow the athlete; the session is up to the caller
+function applyAthlete(athlete) {
+  state.athlete = athlete;
+  applyEngineConfig();
+  state.engine.setAthleteBaselines(athlete ? athlete.baselines : {});
 
-    if (state.endingConfirmCount >= 2) {
-      console.log(`🛑 ENDING SET (${state.cleanHistory.length} cleans, ${state.pressHistory.length} presses)`);
-      state.endingConfirmCount = 0;
-      endCurrentSet();
-    }
-  } else {
-    state.endingConfirmCount = 0;
+  if (athlete && athlete.height_cm) {
+    document.getElementById("athlete-height-cm").value = athlete.height_cm;
+    state.engine.setCalibrationReference({ heightM: athlete.height_cm / 100 });
+    updateCalibrationDisplay();
   }
+
+  document.getElementById("athlete-select").value = athlete ? athlete.id : "";
+  renderAthletePanel();
+  renderSettings();
+  if (!document.getElementById("lv-panel").hidden) renderLoadVelocity();
 }
 
-// ============================================
-// SET MANAGEMENT
-// ============================================
+function athleteRef(athlete) {
+  return athlete ? { id: athlete.id, name: athlete.name } : null;
+}
 
-function startNewSet(side) {
-  state.lockedSide = side;
-  state.testStage = "RUNNING";
-  state.lockedAtMs = state.timeMs;
-
-  state.cleanHistory = [];
-  state.pressHistory = [];
-  state.cleanBaseline = 0;
-  state.pressBaseline = 0;
-  state.currentRepPeak = 0;
-  state.overheadHoldCount = 0;
-  state.endingConfirmCount = 0;
-
-  state.phase = "IDLE";
-  state.repStartedFrom = null;
-
-  state.session.currentSet = {
-    id: state.session.history.length + 1,
-    hand: side,
-    cleans: [],
-    presses: [],
-    snatches: [],
-    swings: [],
-    startTime: new Date(),
-    lockedAtMs: state.timeMs
-  };
+async function addAthlete() {
+  const name = prompt("Athlete name:");
+  if (!name || !name.trim()) return;
 
-  // Reset all UI
-  const countEls = ['val-cleans', 'val-presses', 'val-snatches', 'val-swings', 'val-total-reps'];
-  countEls.forEach(id => {
-    const el = document.getElementById(id);
-    if (el) el.textContent = '0';
-  });
+  const athlete = createAthlete(name);
+  const heightCm = parseFloat(document.getElementById("athlete-height-cm").value);
+  if (heightCm > 0) athlete.height_cm = heightCm;
 
-  const velEls = ['val-clean-velocity', 'val-press-velocity', 'val-snatch-velocity', 'val-swing-velocity'];
-  velEls.forEach(id => {
-    const el = document.getElementById(id);
-    if (el) el.textContent = '0.00';
+  if (!(await storeAthlete(athlete))) return;
+  state.athletes.push(athlete);
+  state.athletes.sort((a, b) => a.name.localeCompare(b.name));
+  renderAthleteOptions();
+
+  if (!switchAthlete(athlete)) renderAthleteOptions();
+  document.getElementById("athlete-panel").hidden = false;
+  renderAthletePanel();
+}
+
+function storeAthlete(athlete) {
+  return saveAthlete(athlete).then(() => true, e => {
+    console.error("Athlete not saved:", e);
+    alert("Athlete profile could not be saved (Check Console).");
+    return false;
   });
+}
 
-  setStatus(`LOCKED: ${side.toUpperCase()}`, "#10b981");
+// New bests are only taken from finished sets
+function updateAthleteBaselines(set) {
+  if (!state.athlete || !recordBaselines(state.athlete, set, state.engine.getConfig())) return;
+  storeAthlete(state.athlete);
+  renderAthletePanel();
+}
 
-  if (CONFIG.DEBUG_MODE) console.log(`🚀 Set Started [${side}]`);
+function toggleAthletePanel() {
+  const panel = document.getElementById("athlete-panel");
+  panel.hidden = !panel.hidden;
+  renderAthletePanel();
 }
 
-function endCurrentSet() {
-  if (state.session.currentSet) {
-    state.session.currentSet.endTime = new Date();
-
-    const cleanCount = state.session.currentSet.cleans.length;
-    const pressCount = state.session.currentSet.presses.length;
-    const snatchCount = state.session.currentSet.snatches.length;
-    const swingCount = state.session.currentSet.swings.length;
-
-    state.session.currentSet.summary = {
-      total_cleans: cleanCount,
-      floor_cleans: state.session.currentSet.cleans.filter(c => c.type === 'CLEAN_FROM_FLOOR').length,
-      re_cleans: state.session.currentSet.cleans.filter(c => c.type === 'RE_CLEAN').length,
-      total_presses: pressCount,
-      total_snatches: snatchCount,
-      total_swings: swingCount
-    };
+function renderAthletePanel() {
+  const details = document.getElementById("athlete-details");
+  if (document.getElementById("athlete-panel").hidden) return;
+  details.textContent = "";
 
-    state.session.history.push(state.session.currentSet);
+  const athlete = state.athlete;
+  if (!athlete) {
+    details.textContent = "Guest: pick or create an athlete to keep their bests and thresholds.";
+    return;
   }
 
-  state.testStage = "IDLE";
-  state.lockedSide = "unknown";
-  state.session.currentSet = null;
-  state.activeTrackingSide = "left";
+  const nameRow = document.createElement("div");
+  nameRow.className = "info-row destination-row";
+  nameRow.appendChild(athleteInput("text", athlete.name, "Name", value => {
+    if (!value.trim()) return;
+    athlete.name = value.trim();
+    if (state.session.athlete && state.session.athlete.id === athlete.id) state.session.athlete.name = athlete.name;
+    renderAthleteOptions();
+  }));
+  nameRow.appendChild(athleteInput("number", athlete.height_cm || "", "Height cm", value => {
+    const heightCm = parseFloat(value);
+    athlete.height_cm = heightCm > 0 ? heightCm : null;
+    document.getElementById("athlete-height-cm").value = athlete.height_cm || "";
+    state.engine.setCalibrationReference({ heightM: athlete.height_cm ? athlete.height_cm / 100 : null });
+    updateCalibrationDisplay();
+  }, "weight-input"));
+  nameRow.appendChild(historyButton("Delete Athlete", () => removeAthlete(athlete)));
+  details.appendChild(nameRow);
+
+  details.appendChild(athleteHeading("Threshold overrides (blank = default)"));
+  Object.entries(settingsConfig().MOVEMENT).forEach(([key, defaultValue]) => {
+    const row = document.createElement("div");
+    row.className = "info-row";
+
+    const label = document.createElement("span");
+    label.className = "info-label";
+    label.textContent = key;
+    row.appendChild(label);
+
+    const current = athlete.movement[key];
+    row.appendChild(athleteInput("number", current === undefined ? "" : current, String(defaultValue), value => {
+      const parsed = parseFloat(value);
+      if (!Number.isFinite(parsed)) {
+        delete athlete.movement[key];
+      } else {
+        const { errors } = validateMovementOverrides({ ...athlete.movement, [key]: parsed }, settingsConfig());
+        if (errors[key]) {
+          alert(`${key} must be ${errors[key]}.`);
+          renderAthletePanel();
+          return;
+        }
+        athlete.movement[key] = parsed;
+      }
+      applyEngineConfig();
+    }, "weight-input"));
 
-  setStatus("Set Saved. Park to start next.", "#3b82f6");
+    details.appendChild(row);
+  });
+  details.appendChild(historyButton("Calibrate Thresholds", startWizard));
+
+  details.appendChild(athleteHeading("Best set-opening velocity"));
+  const bests = Object.entries(athlete.baselines);
+  if (!bests.length) {
+    const none = document.createElement("div");
+    none.textContent = `None yet: recorded after a set with ${state.engine.getConfig().BASELINE_REPS}+ cleans or presses.`;
+    details.appendChild(none);
+  }
+  bests.forEach(([key, best]) => {
+    const [kind, bells, kg] = key.split(":");
+    const row = document.createElement("div");
+    const mcv = best.mcv !== null ? `, ${best.mcv.toFixed(2)} m/s MCV` : "";
+    const load = kg === "any" ? "unknown load" : `${kg} kg`;
+    row.textContent = `${kind} · ${bells} · ${load}: ${best.peak !== null ? best.peak.toFixed(2) : "--"} m/s peak${mcv} (${new Date(best.date).toLocaleDateString()})`;
+    details.appendChild(row);
+  });
+  if (bests.length) {
+    details.appendChild(historyButton("Clear Bests", () => {
+      if (!confirm(`Clear all stored bests for ${athlete.name}?`)) return;
+      athlete.baselines = {};
+      state.engine.setAthleteBaselines(athlete.baselines);
+      storeAthlete(athlete);
+      renderAthletePanel();
+    }));
+  }
 }
 
-// ============================================
-// PHYSICS ENGINE
-// ============================================
+function athleteHeading(text) {
+  const heading = document.createElement("div");
+  heading.className = "info-label";
+  heading.textContent = text;
+  return heading;
+}
 
-function runPhysics(pose, timeMs) {
-  const side = state.testStage === "IDLE" ? state.activeTrackingSide : state.lockedSide;
-  if (!side || side === "unknown") return;
+// Every edit is saved straight away
+function athleteInput(type, value, placeholder, onChange, extraClass = "text-input") {
+  const input = document.createElement("input");
+  input.type = type;
+  input.className = `file-input ${extraClass}`;
+  input.value = value;
+  input.placeholder = placeholder;
+  input.title = placeholder;
+  if (type === "number") input.step = "any";
+  input.onchange = () => {
+    onChange(input.value);
+    storeAthlete(state.athlete);
+  };
+  return input;
+}
 
-  const idx = side === "left" ? CONFIG.LEFT : CONFIG.RIGHT;
-  const wrist = pose[idx.WRIST];
-  const shoulder = pose[idx.SHOULDER];
-  const hip = pose[idx.HIP];
-  if (!wrist || !shoulder || !hip) return;
+async function removeAthlete(athlete) {
+  if (!confirm(`Delete ${athlete.name}'s profile? Saved sessions are kept.`)) return;
 
-  if (!state.lockedCalibration) {
-    const torsoPx = Math.abs(shoulder.y - hip.y) * state.canvas.height;
-    state.lockedCalibration = Math.max(50, torsoPx / CONFIG.TORSO_METERS);
+  try {
+    await deleteAthlete(athlete.id);
+  } catch (e) {
+    console.error("Athlete not deleted:", e);
+    alert("Athlete profile could not be deleted (Check Console).");
+    return;
   }
 
-  if (!state.prevWrist) {
-    state.prevWrist = { x: wrist.x, y: wrist.y, t: timeMs };
+  state.athletes = state.athletes.filter(a => a.id !== athlete.id);
+  applyAthlete(null);
+  renderAthleteOptions();
+}
+
+// ============================================
+// THRESHOLD WIZARD
+// ============================================
+
+const WIZARD_PROMPTS = {
+  swing: "swings to chest height",
+  clean: "cleans, holding the rack",
+  press: "strict presses from the rack",
+  snatch: "snatches, holding the lockout"
+};
+
+function startWizard() {
+  if (!state.athlete) return;
+  if (state.engine.state.bellConfig !== "single") {
+    alert("The threshold wizard works with a single kettlebell.");
+    return;
+  }
+  if (state.session.currentSet) {
+    alert("Finish the current set before calibrating thresholds.");
     return;
   }
 
-  const dt = (timeMs - state.prevWrist.t) / 1000;
-  if (dt < CONFIG.MIN_DT || dt > CONFIG.MAX_DT) {
-    state.prevWrist = { x: wrist.x, y: wrist.y, t: timeMs };
+  state.wizard = createThresholdWizard(state.engine.getConfig());
+  document.getElementById("wizard-panel").hidden = false;
+  renderWizard(null);
+}
+
+function updateWizard(frame) {
+  const engineState = state.engine.state;
+  if (engineState.testStage !== "RUNNING") {
+    renderWizard(null);
     return;
   }
 
-  const dxPx = (wrist.x - state.prevWrist.x) * state.canvas.width;
-  const dyPx = (wrist.y - state.prevWrist.y) * state.canvas.height;
+  const sample = state.wizard.observe({
+    pose: frame.pose,
+    side: engineState.lockedSide,
+    speed: engineState.lastSpeed,
+    vy: engineState.lastVy
+  });
+  if (!sample) return;
 
-  let vx = (dxPx / state.lockedCalibration) / dt;
-  let vy = (dyPx / state.lockedCalibration) / dt;
-  let speed = Math.hypot(vx, vy);
+  if (state.wizard.snapshot().stepDone) state.wizard.nextStep();
+  renderWizard(sample);
+  if (state.wizard.snapshot().finished) finishWizard();
+}
 
-  const TARGET_FPS = 30;
-  const frameTimeMs = 1000 / TARGET_FPS;
-  const actualFrameTimeMs = timeMs - state.prevWrist.t;
-  const timeRatio = frameTimeMs / actualFrameTimeMs;
-  vx *= timeRatio;
-  vy *= timeRatio;
-  speed = Math.hypot(vx, vy);
+function skipWizardStep() {
+  if (!state.wizard) return;
+  state.wizard.nextStep();
+  renderWizard(null);
+  if (state.wizard.snapshot().finished) finishWizard();
+}
 
-  if (speed < CONFIG.ZERO_BAND) speed = 0;
+function renderWizard(sample) {
+  const snap = state.wizard.snapshot();
+
+  document.getElementById("wizard-prompt").textContent = snap.finished
+    ? "Done"
+    : `Step ${snap.stepNumber}/${snap.steps}: ${snap.target} ${WIZARD_PROMPTS[snap.step]}`;
+  document.getElementById("wizard-progress").textContent = snap.finished
+    ? "—"
+    : `${snap.reps}/${snap.target}${state.engine.state.testStage === "RUNNING" ? "" : " (hike the bell to start)"}`;
+
+  if (sample) {
+    document.getElementById("wizard-last").textContent =
+      `${sample.peak.toFixed(2)} m/s · ${sample.up >= 0 ? "+" : ""}${sample.up.toFixed(2)} vs shoulder · ${sample.dist.toFixed(2)} from torso`;
+  } else if (!snap.finished && !snap.reps) {
+    document.getElementById("wizard-last").textContent = "—";
+  }
 
-  state.smoothedVelocity = CONFIG.SMOOTHING_ALPHA * speed + (1 - CONFIG.SMOOTHING_ALPHA) * state.smoothedVelocity;
-  state.smoothedVy = CONFIG.SMOOTHING_ALPHA * vy + (1 - CONFIG.SMOOTHING_ALPHA) * state.smoothedVy;
+  document.getElementById("btn-wizard-skip").textContent = snap.reps ? "Next Movement" : "Skip Movement";
+}
 
-  state.lastSpeed = Math.min(state.smoothedVelocity, CONFIG.MAX_REALISTIC_VELOCITY);
-  state.lastVy = Math.min(Math.max(state.smoothedVy, -CONFIG.MAX_REALISTIC_VELOCITY), CONFIG.MAX_REALISTIC_VELOCITY);
+function finishWizard() {
+  const athlete = state.athlete;
+  const { thresholds, warnings } = state.wizard.result();
+  closeWizard();
 
-  state.prevWrist = { x: wrist.x, y: wrist.y, t: timeMs };
+  // Checked against the profile's other overrides, like a hand-typed value
+  const { values, errors } = validateMovementOverrides({ ...(athlete ? athlete.movement : {}), ...thresholds }, settingsConfig());
+  const keys = Object.keys(thresholds).filter(key => key in values);
+  const rejected = Object.keys(thresholds).filter(key => errors[key]).map(key => `${key} (must be ${errors[key]})`);
+  if (rejected.length) warnings.push(`Left out: ${rejected.join(", ")}`);
 
-  if (state.testStage === "RUNNING") {
-    document.getElementById("val-velocity").textContent = state.lastSpeed.toFixed(2);
+  if (!athlete || !keys.length) {
+    alert("Not enough reps recorded to set any thresholds.");
+    return;
   }
+
+  const lines = keys.map(key => `${key}: ${thresholds[key]}`);
+  const notes = warnings.length ? `\n\nCheck:\n- ${warnings.join("\n- ")}` : "";
+  if (!confirm(`Save these as ${athlete.name}'s thresholds?\n\n${lines.join("\n")}${notes}`)) return;
+
+  keys.forEach(key => { athlete.movement[key] = thresholds[key]; });
+  storeAthlete(athlete);
+  applyEngineConfig();
+  renderAthletePanel();
+  renderSettings();
+  setStatus(`Thresholds Saved for ${athlete.name}`, "#10b981");
+}
+
+function closeWizard() {
+  state.wizard = null;
+  document.getElementById("wizard-panel").hidden = true;
 }
 
 // ============================================
-// MOVEMENT DETECTION LOGIC
+// DETECTION SETTINGS
 // ============================================
 
-function runMovementLogic(pose) {
-  const v = state.smoothedVelocity;
-  const vy = state.smoothedVy;
-  const idx = state.lockedSide === "left" ? CONFIG.LEFT : CONFIG.RIGHT;
-  const wrist = pose[idx.WRIST];
-  const hip = pose[idx.HIP];
-  const shoulder = pose[idx.SHOULDER];
-  const knee = pose[idx.KNEE];
+// A settings link wins over the settings kept from last time
+function initSettings() {
+  let loaded = null;
+  try {
+    loaded = settingsFromUrl(location.search) || loadActiveSettings();
+  } catch (e) {
+    console.warn("Settings unavailable:", e);
+  }
 
-  if (!wrist || !hip || !shoulder || !knee) return;
+  if (loaded && loaded.errors && Object.keys(loaded.errors).length) {
+    const problems = Object.entries(loaded.errors).map(([key, msg]) => `${key}: ${msg}`).join("\n");
+    alert(`Some settings from the link were ignored:\n${problems}`);
+  }
 
-  const zone = getWristZone(pose, state.lockedSide);
+  if (loaded) {
+    state.settings = {
+      name: loaded.name,
+      values: { ...currentSettings(CONFIG), ...loaded.values },
+      modified: false
+    };
+  }
 
-  // PHASE: IDLE/LOCKOUT - Waiting for next movement
-  if (state.phase === "IDLE" || state.phase === "LOCKOUT") {
+  applyEngineConfig();
+  renderPresetOptions();
+}
 
-    if (zone === 'FLOOR') {
-      state.phase = "BOTTOM";
-      state.repStartedFrom = "FLOOR";
-      state.overheadHoldCount = 0;
-      state.currentRepPeak = 0;
-      state.currentRepPeakWristY = 1.0;
-      state.currentRepPeakWristX = wrist.x;
-state.repStartY = wrist.y;  // ADD THIS
-      if (CONFIG.DEBUG_MODE) console.log("Phase: BOTTOM (from FLOOR)");
-    }
+// CONFIG, then the settings, then the athlete's own thresholds
+function applyEngineConfig() {
+  const athleteLayer = state.athlete ? { MOVEMENT: sanitizeMovementOverrides(state.athlete.movement, settingsConfig()) } : undefined;
+  state.engine.configure(settingsLayer(state.settings.values), athleteLayer);
+}
 
-    else if (zone === 'BACKSWING') {
-      state.phase = "BOTTOM";
-      state.repStartedFrom = "RACK";
-      state.overheadHoldCount = 0;
-      state.currentRepPeak = 0;
-      state.currentRepPeakWristY = 1.0;
-      state.currentRepPeakWristX = wrist.x;
+function settingsConfig() {
+  return mergeConfig(CONFIG, settingsLayer(state.settings.values));
+}
 
-      if (CONFIG.DEBUG_MODE) console.log("Phase: BOTTOM (from RACK)");
-    }
-    // ADD THIS - detect press starting from rack
-  else if (zone === 'RACK' && vy < -0.4) {
-    state.phase = "CONCENTRIC";
-    state.currentRepPeak = 0;
-    if (CONFIG.DEBUG_MODE) console.log("Phase: CONCENTRIC (press from rack)");
-  }
-  }
+function useSettings(name, values, modified) {
+  state.settings = { name, values, modified };
+  applyEngineConfig();
 
-  // PHASE: BOTTOM - Waiting for upward pull
-  else if (state.phase === "BOTTOM") {
-    if (zone !== 'FLOOR' && zone !== 'BACKSWING' && vy < -0.4) {
-      state.phase = "CONCENTRIC";
-      if (CONFIG.DEBUG_MODE) console.log("Phase: CONCENTRIC");
-    }
+  try {
+    saveActiveSettings(name, values);
+  } catch (e) {
+    console.warn("Settings not kept:", e);
   }
 
-  // PHASE: CONCENTRIC - Tracking upward movement
-  else if (state.phase === "CONCENTRIC") {
-    if (v > state.currentRepPeak) state.currentRepPeak = v;
-
-    if (wrist.y < state.currentRepPeakWristY) {
-      state.currentRepPeakWristY = wrist.y;
-      state.currentRepPeakWristX = wrist.x;
-    }
+  renderPresetOptions();
+}
 
-    const isStable = Math.abs(vy) < CONFIG.LOCKOUT_VY_CUTOFF && v < CONFIG.LOCKOUT_SPEED_CUTOFF;
+function toggleSettingsPanel() {
+  const panel = document.getElementById("settings-panel");
+  panel.hidden = !panel.hidden;
+  renderSettings();
+}
 
-    // RACK LOCKOUT - Clean detection
-    if (zone === 'RACK' && isStable) {
-      state.overheadHoldCount++;
+function renderPresetOptions() {
+  const select = document.getElementById("preset-select");
+  select.textContent = "";
+  select.appendChild(new Option("Defaults", ""));
+  Object.keys(loadPresets()).sort().forEach(name => select.appendChild(new Option(name, name)));
+  select.value = state.settings.name && select.querySelector(`option[value="${CSS.escape(state.settings.name)}"]`) ? state.settings.name : "";
 
-      if (state.overheadHoldCount >= 5) {
-        if (wrist.y < (state.repStartY - 0.2)) {
-        recordClean(pose, "CLEAN_FROM_FLOOR");
-      } else if (state.repStartedFrom === "RACK") {
-          recordClean(pose, "RE_CLEAN");
-        }
+  const label = state.settings.name || "Defaults";
+  document.getElementById("settings-name").textContent = state.settings.modified ? `${label} (modified)` : label;
+}
 
-        state.phase = "LOCKOUT";
-        state.overheadHoldCount = 0;
-      }
+function renderSettings() {
+  const list = document.getElementById("settings-list");
+  if (document.getElementById("settings-panel").hidden) return;
+  list.textContent = "";
+
+  let group = null;
+  SETTINGS.forEach(setting => {
+    if (setting.group !== group) {
+      group = setting.group;
+      const heading = document.createElement("div");
+      heading.className = "info-label";
+      heading.textContent = group;
+      list.appendChild(heading);
     }
 
-    // OVERHEAD LOCKOUT - Press or Snatch
-    else if (zone === 'OVERHEAD' && isStable) {
-      state.overheadHoldCount++;
+    const row = document.createElement("div");
+    row.className = "info-row";
 
-      if (state.overheadHoldCount >= 2) {
-        if (state.currentRepPeak < CONFIG.MOVEMENT.PRESS_VELOCITY_THRESHOLD) {
-          recordPress(pose);
-        } else {
-          recordSnatch(pose);
-        }
+    const label = document.createElement("span");
+    label.className = "settings-label";
+    label.textContent = setting.unit ? `${setting.label} (${setting.unit})` : setting.label;
+    label.title = setting.key;
+    row.appendChild(label);
 
-        state.phase = "LOCKOUT";
-        state.overheadHoldCount = 0;
-      }
-    }
+    row.appendChild(settingInput(setting));
 
-    // SWING DETECTION - Shoulder height lockout (not rack, not overhead)
-    else if (isStable && state.repStartedFrom === "FLOOR") {
-      // Check if at shoulder height but not in rack zone or overhead
-      const heightAboveShoulder = shoulder.y - wrist.y;
-      const heightAboveHip = hip.y - wrist.y;
+    const error = document.createElement("span");
+    error.className = "settings-error";
+    error.id = `setting-error-${setting.key}`;
+    row.appendChild(error);
 
-      // At shoulder height, ballistic velocity, not in rack position
-      if (heightAboveShoulder < CONFIG.MOVEMENT.SWING_MAX_HEIGHT_ABOVE_SHOULDER &&
-          heightAboveShoulder >= -0.1 &&
-          heightAboveHip >= CONFIG.MOVEMENT.SWING_MIN_HEIGHT_ABOVE_HIP &&
-          state.currentRepPeak >= CONFIG.MOVEMENT.PRESS_VELOCITY_THRESHOLD) {
+    const note = document.createElement("span");
+    note.className = "settings-note";
+    const [, movementKey] = setting.key.split(".");
+    if (movementKey && state.athlete && movementKey in state.athlete.movement) {
+      note.textContent = `${state.athlete.name}'s profile uses ${state.athlete.movement[movementKey]}`;
+    }
+    row.appendChild(note);
 
-        state.overheadHoldCount++;
+    list.appendChild(row);
+  });
+}
 
-        if (state.overheadHoldCount >= 2) {
-          recordSwing(pose);
-          state.phase = "LOCKOUT";
-          state.overheadHoldCount = 0;
-        }
-      }
-    }
+function settingInput(setting) {
+  const value = state.settings.values[setting.key];
+  let input;
 
-    else {
-      state.overheadHoldCount = 0;
-    }
+  if (setting.options) {
+    input = document.createElement("select");
+    setting.options.forEach(option => input.appendChild(new Option(option, option)));
+  } else {
+    input = document.createElement("input");
+    input.type = "number";
+    input.min = setting.min;
+    input.max = setting.max;
+    input.step = setting.step;
+    input.classList.add("weight-input");
   }
 
-  // PHASE: LOCKOUT - Waiting for next movement or set end
-  else if (state.phase === "LOCKOUT") {
-    if (zone === 'BACKSWING' || zone === 'FLOOR') {
-      state.phase = "IDLE";
-      state.repStartedFrom = null;
-    }
-  }
+  input.classList.add("file-input");
+  input.value = value;
+  input.dataset.key = setting.key;
+  input.oninput = () => handleSettingInput(setting.key, input.value);
+  return input;
 }
 
-// ============================================
-// POSITION DETECTION
-// ============================================
-
-function getWristZone(pose, side) {
-  const idx = side === "left" ? CONFIG.LEFT : CONFIG.RIGHT;
-  const wrist = pose[idx.WRIST];
-  const hip = pose[idx.HIP];
-  const shoulder = pose[idx.SHOULDER];
-  const knee = pose[idx.KNEE];
+// Applied as they are typed; nothing changes while any value is invalid
+function handleSettingInput(key, raw) {
+  const candidate = { ...state.settings.values, [key]: raw };
+  const { values, errors } = validateSettings(candidate);
 
-  if (!wrist || !hip || !shoulder || !knee) return 'UNKNOWN';
+  document.querySelectorAll("#settings-list [data-key]").forEach(input => {
+    const error = errors[input.dataset.key];
+    input.classList.toggle("input-invalid", !!error);
+    document.getElementById(`setting-error-${input.dataset.key}`).textContent = error ? `Must be ${error}` : "";
+  });
 
-  const lShoulder = pose[CONFIG.LEFT.SHOULDER];
-  const rShoulder = pose[CONFIG.RIGHT.SHOULDER];
-  const torsoCenter = (lShoulder.x + rShoulder.x) / 2;
-  const horizontalDist = Math.abs(wrist.x - torsoCenter);
-  const isCloseToTorso = horizontalDist < CONFIG.MOVEMENT.CLEAN_HORIZONTAL_PROXIMITY;
+  if (Object.keys(errors).length) return;
+  useSettings(state.settings.name, values, true);
+}
 
-  if (wrist.y < (shoulder.y - CONFIG.MOVEMENT.SNATCH_MIN_HEIGHT_ABOVE_SHOULDER)) {
-    return 'OVERHEAD';
+function handlePresetChange(e) {
+  const name = e.target.value;
+  if (!name) {
+    resetSettings();
+    return;
   }
 
-  if (wrist.y >= (shoulder.y + CONFIG.MOVEMENT.CLEAN_RACK_HEIGHT_MIN) && 
-      wrist.y <= (shoulder.y + CONFIG.MOVEMENT.CLEAN_RACK_HEIGHT_MAX) && 
-      isCloseToTorso) {
-    return 'RACK';
+  const preset = loadPresets()[name];
+  if (!preset) return;
+  useSettings(name, { ...currentSettings(CONFIG), ...validateSettings(preset).values }, false);
+  renderSettings();
+  setStatus(`Settings: ${name}`, "#3b82f6");
+}
+
+function saveSettingsPreset() {
+  const name = prompt("Preset name (e.g. side view, garage):", state.settings.name || "");
+  if (!name || !name.trim()) return;
+
+  try {
+    savePreset(name.trim(), state.settings.values);
+  } catch (e) {
+    console.error("Preset not saved:", e);
+    alert("Preset could not be saved (Check Console).");
+    return;
   }
 
-  if (wrist.y > hip.y && wrist.y <= knee.y) {
-    return 'BACKSWING';
+  useSettings(name.trim(), state.settings.values, false);
+  setStatus(`Preset Saved: ${name.trim()}`, "#10b981");
+}
+
+function deleteSettingsPreset() {
+  const name = state.settings.name;
+  if (!name || !loadPresets()[name]) {
+    alert("Pick a saved preset to delete.");
+    return;
   }
+  if (!confirm(`Delete the "${name}" preset? The current values stay in use.`)) return;
 
-  if (wrist.y > knee.y) {
-    return 'FLOOR';
+  try {
+    deletePreset(name);
+  } catch (e) {
+    console.error("Preset not deleted:", e);
   }
+  useSettings(null, state.settings.values, true);
+}
+
+async function shareSettings() {
+  const url = `${location.origin}${location.pathname}?settings=${encodeSettings(state.settings.name, state.settings.values)}`;
 
-  return 'TRANSITION';
+  try {
+    await navigator.clipboard.writeText(url);
+    setStatus("Settings Link Copied", "#10b981");
+  } catch (e) {
+    prompt("Copy this settings link:", url);
+  }
 }
 
-function isWristInFloorZone(pose, side) {
-  const idx = side === "left" ? CONFIG.LEFT : CONFIG.RIGHT;
-  const wrist = pose[idx.WRIST];
-  const knee = pose[idx.KNEE];
-  if (!wrist || !knee) return false;
-  return wrist.y > knee.y;
+function resetSettings() {
+  useSettings(null, currentSettings(CONFIG), false);
+  renderSettings();
+  setStatus("Settings: Defaults", "#3b82f6");
 }
 
 // ============================================
-// RECORDING FUNCTIONS - ALL FIXED
+// SNATCH TEST
 // ============================================
 
-function recordClean(pose, cleanType) {
-  const cleanData = {
-    type: cleanType,
-    velocity: state.currentRepPeak,
-    timestamp: Date.now()
-  };
-
-  if (state.session.currentSet) {
-    state.session.currentSet.cleans.push(cleanData);
-  }
-
-  state.cleanHistory.push(state.currentRepPeak);
-
-  if (state.cleanHistory.length === CONFIG.BASELINE_REPS && !state.cleanBaseline) {
-    state.cleanBaseline = state.cleanHistory.reduce((a,b) => a+b, 0) / CONFIG.BASELINE_REPS;
-  }
+function initSnatchTestPicker() {
+  const select = document.getElementById("test-protocol");
 
-  let dropPct = "--";
-  let dropColor = "#fff";
-  if (state.cleanBaseline > 0 && state.cleanHistory.length > CONFIG.BASELINE_REPS) {
-    const drop = ((state.cleanBaseline - state.currentRepPeak) / state.cleanBaseline) * 100;
-    dropPct = drop.toFixed(1) + "%";
+  CONFIG.SNATCH_TESTS.forEach(protocol => {
+    const option = document.createElement("option");
+    option.value = protocol.id;
+    option.textContent = protocol.label;
+    select.appendChild(option);
+  });
 
-    if (drop < CONFIG.DROP_WARN) {
-      dropColor = "#10b981";
-    } else if (drop < CONFIG.DROP_FAIL) {
-      dropColor = "#fbbf24";
-    } else {
-      dropColor = "#ef4444";
+  select.onchange = () => {
+    if (state.engine.state.testStage === "RUNNING") {
+      alert("Finish the current set before changing test mode.");
+      select.value = state.snatchTest ? state.snatchTest.state.protocol.id : "";
+      return;
     }
-  }
+    selectSnatchTest(select.value);
+  };
+}
 
-  const displayType = cleanType === "CLEAN_FROM_FLOOR" ? "Clean (Floor)" : "Re-Clean";
+function selectSnatchTest(protocolId) {
+  const protocol = CONFIG.SNATCH_TESTS.find(p => p.id === protocolId);
+  state.snatchTest = protocol ? createSnatchTest(protocol) : null;
+  state.snatchTestReported = false;
 
-  if (CONFIG.DEBUG_MODE) {
-    console.log(`✅ ${displayType} #${state.cleanHistory.length}: ${state.currentRepPeak.toFixed(2)} m/s | Drop: ${dropPct}`);
-  }
+  const panel = document.getElementById("snatch-test-panel");
+  panel.hidden = !protocol;
+  if (!protocol) return;
 
-  updateCleanDisplay(state.cleanHistory.length, state.currentRepPeak, dropPct, dropColor);
-  updateMovementDisplay(cleanType);
-  updateTotalReps();
+  document.getElementById("test-title").textContent = protocol.label;
+  renderSnatchTest(state.snatchTest.snapshot());
 }
 
-function recordPress(pose) {
-  const pressData = {
-    type: 'PRESS',
-    velocity: state.currentRepPeak,
-    timestamp: Date.now()
-  };
+function updateSnatchTest(timeMs) {
+  const snap = state.snatchTest.tick(timeMs);
+  renderSnatchTest(snap);
 
-  if (state.session.currentSet) {
-    state.session.currentSet.presses.push(pressData);
+  if (snap.finished && !state.snatchTestReported) {
+    state.snatchTestReported = true;
+    state.engine.endSet();
+
+    const result = state.snatchTest.result();
+    setStatus(`${result.label}: ${result.passed ? "PASS" : "FAIL"} — ${result.total_reps} reps`,
+      result.passed ? "#10b981" : "#ef4444");
   }
+}
 
-  state.pressHistory.push(state.currentRepPeak);
+function renderSnatchTest(snap) {
+  const protocol = state.snatchTest.state.protocol;
+  const min = protocol.minPerHand || 0;
 
-  if (state.pressHistory.length === CONFIG.BASELINE_REPS && !state.pressBaseline) {
-    state.pressBaseline = state.pressHistory.reduce((a,b) => a+b, 0) / CONFIG.BASELINE_REPS;
-  }
+  document.getElementById("test-clock").textContent = formatClock(snap.remainingMs);
+  document.getElementById("test-reps").textContent = protocol.targetReps
+    ? `${snap.total} / ${protocol.targetReps}`
+    : `${snap.total}`;
 
-  let dropPct = "--";
-  let dropColor = "#fff";
-  if (state.pressBaseline > 0 && state.pressHistory.length > CONFIG.BASELINE_REPS) {
-    const drop = ((state.pressBaseline - state.currentRepPeak) / state.pressBaseline) * 100;
-    dropPct = drop.toFixed(1) + "%";
+  ["left", "right"].forEach(hand => {
+    const el = document.getElementById(`test-${hand}`);
+    el.textContent = min ? `${snap[hand]} (min ${min})` : `${snap[hand]}`;
+    el.style.color = snap.handsShort[hand] > 0 ? "#fbbf24" : "#10b981";
+  });
 
-    if (drop < CONFIG.DROP_WARN) {
-      dropColor = "#10b981";
-    } else if (drop < CONFIG.DROP_FAIL) {
-      dropColor = "#fbbf24";
-    } else {
-      dropColor = "#ef4444";
-    }
+  const paceEl = document.getElementById("test-pace");
+  if (snap.projected === null) {
+    paceEl.textContent = "—";
+    paceEl.style.color = "#fff";
+  } else if (protocol.targetReps) {
+    const needed = snap.requiredPace !== null ? ` — need ${snap.requiredPace.toFixed(1)}/min` : "";
+    paceEl.textContent = `${snap.projected} projected${needed}`;
+    paceEl.style.color = snap.onPace ? "#10b981" : "#ef4444";
+  } else {
+    paceEl.textContent = `${snap.projected} projected`;
+    paceEl.style.color = "#fff";
   }
 
-  if (CONFIG.DEBUG_MODE) {
-    console.log(`💪 PRESS #${state.pressHistory.length}: ${state.currentRepPeak.toFixed(2)} m/s | Drop: ${dropPct}`);
+  const resultEl = document.getElementById("test-result");
+  if (!snap.finished) {
+    resultEl.textContent = snap.started ? "In progress" : "Starts on first hike";
+    resultEl.style.color = "#94a3b8";
+    return;
   }
 
-  updatePressDisplay(state.pressHistory.length, state.currentRepPeak, dropPct, dropColor);
-  updateMovementDisplay(`PRESS_SINGLE_${state.lockedSide.toUpperCase()}`);
-  updateTotalReps();
+  const result = state.snatchTest.result();
+  resultEl.textContent = result.passed ? "PASS" : `FAIL — ${result.fail_reasons.join(", ")}`;
+  resultEl.style.color = result.passed ? "#10b981" : "#ef4444";
 }
 
-function recordSnatch(pose) {
-  const snatchData = {
-    type: 'SNATCH',
-    velocity: state.currentRepPeak,
-    timestamp: Date.now()
-  };
+// ============================================
+// WORKOUT PROGRAMS
+// ============================================
 
-  if (state.session.currentSet) {
-    state.session.currentSet.snatches.push(snatchData);
-  }
+function initProgramPicker() {
+  const select = document.getElementById("workout-program");
 
-  if (CONFIG.DEBUG_MODE) {
-    console.log(`⚡ SNATCH #${state.session.currentSet.snatches.length}: ${state.currentRepPeak.toFixed(2)} m/s`);
-  }
+  CONFIG.WORKOUT_PROGRAMS.forEach(program => {
+    const option = document.createElement("option");
+    option.value = program.id;
+    option.textContent = program.name;
+    select.appendChild(option);
+  });
 
-  updateSnatchDisplay(state.session.currentSet.snatches.length, state.currentRepPeak);
-  updateMovementDisplay(`SNATCH_SINGLE_${state.lockedSide.toUpperCase()}`);
-  updateTotalReps();
+  select.onchange = () => {
+    if (state.engine.state.testStage === "RUNNING") {
+      alert("Finish the current set before changing program.");
+      select.value = state.workout ? state.workout.program.id || "" : "";
+      return;
+    }
+    selectProgram(CONFIG.WORKOUT_PROGRAMS.find(p => p.id === select.value) || null);
+  };
+
+  document.getElementById("program-input").onchange = handleProgramUpload;
 }
 
-function recordSwing(pose) {
-  const swingData = {
-    type: 'SWING',
-    velocity: state.currentRepPeak,
-    timestamp: Date.now()
-  };
+async function handleProgramUpload(e) {
+  const file = e.target.files?.[0];
+  if (!file) return;
+  e.target.value = "";
 
-  if (state.session.currentSet) {
-    state.session.currentSet.swings.push(swingData);
+  let program;
+  try {
+    program = JSON.parse(await file.text());
+  } catch(err) {
+    alert("Could not read program file: " + err.message);
+    return;
   }
 
-  if (CONFIG.DEBUG_MODE) {
-    console.log(`🔄 SWING #${state.session.currentSet.swings.length}: ${state.currentRepPeak.toFixed(2)} m/s`);
+  const error = validateProgram(program);
+  if (error) {
+    alert(error);
+    return;
   }
 
-  updateSwingDisplay(state.session.currentSet.swings.length, state.currentRepPeak);
-  updateMovementDisplay(`SWING_SINGLE_${state.lockedSide.toUpperCase()}`);
-  updateTotalReps();
+  document.getElementById("workout-program").value = "";
+  selectProgram(program);
 }
 
-// ============================================
-// UI UPDATES - ALL FIXED
-// ============================================
+function selectProgram(program) {
+  state.workout = program ? createWorkoutProgram(program) : null;
+  state.workoutReported = false;
 
-function updateCleanDisplay(count, velocity, drop, dropColor) {
-  const countEl = document.getElementById("val-cleans");
-  const velEl = document.getElementById("val-clean-velocity");
-  const dropEl = document.getElementById("val-clean-drop");
+  const panel = document.getElementById("program-panel");
+  panel.hidden = !program;
+  if (!program) return;
 
-  if (countEl) countEl.textContent = count;
-  if (velEl) velEl.textContent = velocity.toFixed(2);
-  if (dropEl) {
-    dropEl.textContent = drop;
-    dropEl.style.color = dropColor;
-  }
+  document.getElementById("program-title").textContent = program.name;
+  renderWorkout(state.workout.snapshot());
 }
 
-function updatePressDisplay(count, velocity, drop, dropColor) {
-  const countEl = document.getElementById("val-presses");
-  const velEl = document.getElementById("val-press-velocity");
-  const dropEl = document.getElementById("val-press-drop");
+function updateWorkout(timeMs) {
+  const snap = state.workout.tick(timeMs);
+  renderWorkout(snap);
 
-  if (countEl) countEl.textContent = count;
-  if (velEl) velEl.textContent = velocity.toFixed(2);
-  if (dropEl) {
-    dropEl.textContent = drop;
-    dropEl.style.color = dropColor;
+  if (snap.finished && !state.workoutReported) {
+    state.workoutReported = true;
+
+    const results = state.workout.summary().slots;
+    const onTarget = results.filter(r => r.status === "on_target").length;
+    setStatus(`Program Complete — ${onTarget}/${results.length} sets on target`, "#10b981");
   }
 }
 
-function updateSnatchDisplay(count, velocity) {
-  const countEl = document.getElementById("val-snatches");
-  const velEl = document.getElementById("val-snatch-velocity");
+function renderWorkout(snap) {
+  const clockEl = document.getElementById("program-clock");
+  const phaseEl = document.getElementById("program-phase");
 
-  if (countEl) countEl.textContent = count;
-  if (velEl) velEl.textContent = velocity.toFixed(2);
-}
+  if (snap.phase === "done") {
+    clockEl.textContent = "0:00";
+    phaseEl.textContent = "DONE";
+    phaseEl.style.color = "#10b981";
+    document.getElementById("program-now").textContent = "—";
+    document.getElementById("program-next").textContent = "—";
+    return;
+  }
 
-function updateSwingDisplay(count, velocity) {
-  const countEl = document.getElementById("val-swings");
-  const velEl = document.getElementById("val-swing-velocity");
+  clockEl.textContent = formatClock(snap.remainingMs);
+  phaseEl.textContent = snap.started
+    ? `${snap.phase === "work" ? "WORK" : "REST"} — Set ${snap.slotIndex + 1}/${snap.slotCount}`
+    : "Starts with the test";
+  phaseEl.style.color = snap.phase === "work" ? "#10b981" : "#fbbf24";
 
-  if (countEl) countEl.textContent = count;
-  if (velEl) velEl.textContent = velocity.toFixed(2);
+  document.getElementById("program-now").textContent = describePrescription(snap.current);
+  document.getElementById("program-next").textContent = snap.next ? describePrescription(snap.next) : "Last set";
 }
 
-function updateTotalReps() {
-  if (!state.session.currentSet) return;
+function describePrescription(slot) {
+  const hand = slot.hand === "any" ? "" : ` (${slot.hand})`;
+  return `${formatTargets(slot.targets)}${hand}`;
+}
 
-  const cleans = (state.session.currentSet.cleans || []).length;
-  const presses = (state.session.currentSet.presses || []).length;
-  const snatches = (state.session.currentSet.snatches || []).length;
-  const swings = (state.session.currentSet.swings || []).length;
+function reportProgramSet(result) {
+  const detected = Object.keys(result.prescribed)
+    .map(movement => `${result.detected[movement]}/${result.prescribed[movement]} ${movement}`)
+    .join(", ");
+  const statusText = { on_target: "on target", under: "under target", over: "over target" }[result.status];
+  const text = `Set ${result.slot + 1}: ${detected} — ${statusText}, ${result.timing.replace("_", " ")}`;
 
-  const total = cleans + presses + snatches + swings;
+  const lastEl = document.getElementById("program-last");
+  lastEl.textContent = text;
+  lastEl.style.color = result.status === "on_target" ? "#10b981" : "#fbbf24";
 
-  const totalEl = document.getElementById("val-total-reps");
+  setStatus(text, result.status === "on_target" ? "#10b981" : "#fbbf24");
+}
+
+// ============================================
+// FILE ANALYSIS
+// ============================================
+
+// Steps through an uploaded video one frame at a time instead of playing it.
+// Physics runs on media time, so results don't depend on playback speed or
+// dropped frames, and the file is processed as fast as seeking allows.
+async function analyzeFile() {
+  if (state.isAnalyzing) {
+    state.analysisCancelled = true;
+    return;
+  }
+
+  const video = state.video;
+  if (!state.isModelLoaded || !state.isVideoReady || video.srcObject) return;
+
+  if (!isFinite(video.duration) || video.duration <= 0) {
+    alert("Video duration unknown — this file can't be analyzed frame by frame.");
+    return;
+  }
+
+  if (state.isTestRunning) toggleTest();
+  resetSession();
+
+  state.isAnalyzing = true;
+  state.analysisCancelled = false;
+  state.videoExport.clockStart = null;
+
+  const analyzeBtn = document.getElementById("btn-analyze");
+  const startBtn = document.getElementById("btn-start-test");
+  const progressEl = document.getElementById("analysis-progress");
+  analyzeBtn.textContent = "Cancel Analysis";
+  startBtn.disabled = true;
+  setInputsDisabled(true);
+  progressEl.hidden = false;
+  resetMovementDisplay();
+
+  const step = 1 / CONFIG.ANALYSIS_FPS;
+  const totalFrames = Math.floor(video.duration / step) + 1;
+  let failure = null;
+
+  try {
+    for (let i = 0; i < totalFrames && !state.analysisCancelled; i++) {
+      await seekVideo(video, Math.min(i * step, video.duration));
+      await waitForRecordingClock(video.currentTime * 1000);
+
+      const timeMs = video.currentTime * 1000;
+      state.timeMs = timeMs;
+
+      state.ctx.clearRect(0, 0, state.canvas.width, state.canvas.height);
+      state.ctx.drawImage(video, 0, 0, state.canvas.width, state.canvas.height);
+
+      const pose = detectPose(timeMs);
+      if (pose) {
+        processFrame({ pose, world: state.lastWorld, timeMs, videoTimeMs: timeMs, width: state.canvas.width, height: state.canvas.height });
+      }
+      drawOverlay();
+
+      updateAnalysisProgress(i + 1, totalFrames);
+    }
+
+    if (!state.analysisCancelled) state.engine.endSet();
+  } catch (e) {
+    // Sets found before the failure are kept
+    failure = e;
+    state.engine.endSet();
+  } finally {
+    state.isAnalyzing = false;
+    analyzeBtn.textContent = "Analyze File";
+    startBtn.disabled = false;
+    setInputsDisabled(false);
+    progressEl.hidden = true;
+    document.getElementById("btn-reset").disabled = false;
+  }
+
+  if (failure) {
+    console.error("Analysis failed:", failure);
+    setStatus(`Analysis Failed — ${failure.message} (${state.session.history.length} sets kept)`, "#ef4444");
+  } else if (state.analysisCancelled) {
+    setStatus("Analysis Cancelled", "#fbbf24");
+  } else {
+    setStatus(`Analysis Complete — ${state.session.history.length} sets`, "#10b981");
+  }
+}
+
+// Switching source mid-analysis would leave a seek unresolved
+function setInputsDisabled(disabled) {
+  document.getElementById("file-input").disabled = disabled;
+  document.getElementById("btn-camera").disabled = disabled;
+}
+
+// Rejects when the seek fails or stalls, so analysis can't hang on it
+function seekVideo(video, time) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => done(new Error(`seek to ${time.toFixed(2)} s timed out`)), CONFIG.SEEK_TIMEOUT_MS);
+    const onSeeked = () => done(null);
+    const onError = () => done(new Error(`seek to ${time.toFixed(2)} s failed${video.error ? ` (${video.error.message || `code ${video.error.code}`})` : ""}`));
+
+    function done(err) {
+      clearTimeout(timer);
+      video.removeEventListener("seeked", onSeeked);
+      video.removeEventListener("error", onError);
+      if (err) reject(err);
+      else resolve();
+    }
+
+    video.addEventListener("seeked", onSeeked);
+    video.addEventListener("error", onError);
+    video.currentTime = time;
+  });
+}
+
+function updateAnalysisProgress(done, total) {
+  const progressEl = document.getElementById("analysis-progress");
+  progressEl.value = done / total;
+
+  const pct = Math.round((done / total) * 100);
+  setStatus(`Analyzing... ${pct}% (frame ${done}/${total})`, "#8b5cf6");
+}
+
+// ============================================
+// REP TIMELINE
+// ============================================
+
+// Same colors as the movement labels
+const TIMELINE_COLORS = { cleans: "#8b5cf6", presses: "#f97316", snatches: "#ec4899", swings: "#06b6d4", squats: "#eab308" };
+const TIMELINE_STRIP_HEIGHT = 28;
+const TIMELINE_HIT_PX = 8;
+
+function showTimeline(show) {
+  document.getElementById("timeline-panel").hidden = !show;
+}
+
+// Playback can be restarted or seeked back, so samples are kept in time order
+function recordVelocitySample({ speed, videoTimeMs }) {
+  if (videoTimeMs === null || videoTimeMs === undefined) return;
+
+  const samples = state.timeline.samples;
+  const sample = { t: videoTimeMs, v: speed };
+  const at = firstSampleAt(samples, videoTimeMs);
+  if (at < samples.length && samples[at].t === videoTimeMs) samples[at] = sample;
+  else samples.splice(at, 0, sample);
+
+  state.timeline.maxVelocity = Math.max(state.timeline.maxVelocity, speed);
+}
+
+// Index of the first sample at or after t
+function firstSampleAt(samples, t) {
+  let lo = 0;
+  let hi = samples.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (samples[mid].t < t) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+function timelineReps() {
+  const sets = state.session.currentSet ? [...state.session.history, state.session.currentSet] : state.session.history;
+  return sets.flatMap(set => REP_LISTS.flatMap(list => (set[list] || [])
+    .filter(rep => rep.video_time_ms !== null && rep.video_time_ms !== undefined)
+    .map(rep => ({ list, rep }))));
+}
+
+// Drawn every animation frame from video.currentTime, so it follows any
+// playback rate
+function drawTimeline() {
+  const panel = document.getElementById("timeline-panel");
+  const video = state.video;
+  if (panel.hidden || !video || !isFinite(video.duration) || video.duration <= 0) return;
+
+  const canvas = document.getElementById("timeline-canvas");
+  const ctx = canvas.getContext("2d");
+  const w = canvas.width;
+  const h = canvas.height;
+  const durationMs = video.duration * 1000;
+  const nowMs = video.currentTime * 1000;
+  const reps = timelineReps();
+
+  ctx.clearRect(0, 0, w, h);
+
+  // Whole video, one mark per rep
+  ctx.fillStyle = "rgba(255, 255, 255, 0.06)";
+  ctx.fillRect(0, 0, w, TIMELINE_STRIP_HEIGHT);
+  reps.forEach(({ list, rep }) => {
+    ctx.fillStyle = TIMELINE_COLORS[list];
+    ctx.fillRect((rep.video_time_ms / durationMs) * w - 2, 4, 4, TIMELINE_STRIP_HEIGHT - 8);
+  });
+  ctx.fillStyle = "#f1f5f9";
+  ctx.fillRect((nowMs / durationMs) * w - 1, 0, 2, TIMELINE_STRIP_HEIGHT);
+
+  // Velocity around the playhead
+  const top = TIMELINE_STRIP_HEIGHT + 10;
+  const chartHeight = h - top - 4;
+  const windowMs = CONFIG.TIMELINE_WINDOW_MS;
+  const startMs = nowMs - windowMs / 2;
+  const maxVelocity = Math.max(1, state.timeline.maxVelocity) * 1.1;
+  const xAt = t => ((t - startMs) / windowMs) * w;
+  const yAt = v => top + chartHeight - (v / maxVelocity) * chartHeight;
+
+  ctx.font = "11px sans-serif";
+  for (let v = 0; v <= maxVelocity; v++) {
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.08)";
+    ctx.beginPath();
+    ctx.moveTo(0, yAt(v));
+    ctx.lineTo(w, yAt(v));
+    ctx.stroke();
+    ctx.fillStyle = "#94a3b8";
+    ctx.fillText(`${v} m/s`, 4, yAt(v) - 3);
+  }
+
+  const samples = state.timeline.samples;
+  ctx.strokeStyle = "#f1f5f9";
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  let prev = null;
+  for (let i = firstSampleAt(samples, startMs); i < samples.length && samples[i].t <= startMs + windowMs; i++) {
+    const s = samples[i];
+    // Gaps between sets aren't bridged
+    if (prev && s.t - prev.t < CONFIG.TIMELINE_MAX_GAP_MS) ctx.lineTo(xAt(s.t), yAt(s.v));
+    else ctx.moveTo(xAt(s.t), yAt(s.v));
+    prev = s;
+  }
+  ctx.stroke();
+  ctx.lineWidth = 1;
+
+  reps.forEach(({ list, rep }) => {
+    const x = xAt(rep.video_time_ms);
+    if (x < 0 || x > w) return;
+    ctx.strokeStyle = TIMELINE_COLORS[list];
+    ctx.beginPath();
+    ctx.moveTo(x, top);
+    ctx.lineTo(x, top + chartHeight);
+    ctx.stroke();
+    if (rep.velocity) {
+      ctx.fillStyle = TIMELINE_COLORS[list];
+      ctx.beginPath();
+      ctx.arc(x, yAt(rep.velocity), 4, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  });
+
+  ctx.fillStyle = "#f1f5f9";
+  ctx.fillRect(w / 2 - 1, top, 2, chartHeight);
+
+  document.getElementById("timeline-time").textContent = `${(nowMs / 1000).toFixed(1)} s`;
+  const playBtn = document.getElementById("btn-timeline-play");
+  const label = video.paused ? "Play" : "Pause";
+  if (playBtn.textContent !== label) playBtn.textContent = label;
+}
+
+// The strip covers the whole video, the chart the window around the playhead;
+// a click near a rep goes to that rep
+function handleTimelineClick(e) {
+  const canvas = e.currentTarget;
+  const rect = canvas.getBoundingClientRect();
+  const x = ((e.clientX - rect.left) / rect.width) * canvas.width;
+  const y = ((e.clientY - rect.top) / rect.height) * canvas.height;
+
+  const spanMs = y <= TIMELINE_STRIP_HEIGHT ? state.video.duration * 1000 : CONFIG.TIMELINE_WINDOW_MS;
+  const startMs = y <= TIMELINE_STRIP_HEIGHT ? 0 : state.video.currentTime * 1000 - spanMs / 2;
+  const timeMs = startMs + (x / canvas.width) * spanMs;
+  const hitMs = (TIMELINE_HIT_PX / canvas.width) * spanMs;
+
+  const near = timelineReps()
+    .map(({ rep }) => ({ rep, off: Math.abs(rep.video_time_ms - timeMs) }))
+    .filter(({ off }) => off <= hitMs)
+    .sort((a, b) => a.off - b.off)[0];
+
+  if (near) seekToRep(near.rep);
+  else seekVideoTo(timeMs);
+}
+
+// Reps are stamped at lockout; start from the beginning of the concentric
+function seekToRep(rep) {
+  seekVideoTo(rep.video_time_ms - (rep.concentric_ms || 0) - CONFIG.TIMELINE_SEEK_LEAD_MS);
+}
+
+function seekVideoTo(timeMs) {
+  if (state.isTestRunning || state.isAnalyzing) {
+    setStatus("Pause the test to review the video", "#fbbf24");
+    return;
+  }
+  state.video.currentTime = Math.min(state.video.duration, Math.max(0, timeMs / 1000));
+}
+
+function toggleTimelinePlayback() {
+  if (state.isTestRunning || state.isAnalyzing) {
+    setStatus("Pause the test to review the video", "#fbbf24");
+    return;
+  }
+  if (state.video.paused) state.video.play().catch(() => {});
+  else state.video.pause();
+}
+
+function handlePlaybackRateChange(e) {
+  state.video.playbackRate = parseFloat(e.target.value);
+}
+
+// ============================================
+// ENGINE EVENTS
+// ============================================
+
+function bindEngineEvents(engine) {
+  engine.on("setStarted", onSetStarted);
+  engine.on("setEnded", onSetEnded);
+  engine.on("velocityUpdated", ({ speed, arms, videoTimeMs }) => {
+    document.getElementById("val-velocity").textContent = speed.toFixed(2);
+    if (arms) updateArmVelocityDisplay(arms.left, arms.right);
+    recordVelocitySample({ speed, videoTimeMs });
+  });
+  engine.on("fatigueUpdated", updateDropDisplay);
+  engine.on("repRecorded", onRepRecorded);
+  engine.on("repCompleted", updateTutDisplay);
+  engine.on("handSwitched", onHandSwitched);
+  engine.on("stopSignal", onStopSignal);
+}
+
+function onSetStarted({ set, side, timeMs }) {
+  state.session.currentSet = set;
+  if (state.wizard) set.calibration_wizard = true;
+  if (state.snatchTest && !state.wizard) state.snatchTest.start(timeMs);
+  if (state.workout && !state.wizard) state.workout.assignSet(set, timeMs);
+
+  // Reset all UI
+  const countEls = ['val-cleans', 'val-presses', 'val-snatches', 'val-swings', 'val-squats', 'val-total-reps'];
+  countEls.forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.textContent = '0';
+  });
+
+  const velEls = ['val-clean-velocity', 'val-press-velocity', 'val-snatch-velocity', 'val-swing-velocity', 'val-squat-velocity'];
+  velEls.forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.textContent = '0.00';
+  });
+
+  state.overlay.stop = null;
+  setStatus(`LOCKED: ${side.toUpperCase()}`, "#10b981");
+}
+
+function onSetEnded({ set }) {
+  state.session.currentSet = null;
+
+  // The wizard's prompted reps only feed the wizard: they aren't saved,
+  // exported or counted towards the athlete's bests
+  if (set.calibration_wizard) {
+    setStatus("Calibration set done. Park to start next.", "#3b82f6");
+    return;
+  }
+
+  state.session.history.push(set);
+
+  // Replayed sets are only there to be looked at: the trace's lifter
+  // didn't progress the program or set new bests
+  if (state.isReplaying) return;
+
+  const programResult = state.workout ? state.workout.completeSet(set) : null;
+  persistSession(false);
+  updateAthleteBaselines(set);
+  if (!document.getElementById("review-panel").hidden) renderReview();
+  if (!document.getElementById("lv-panel").hidden) renderLoadVelocity();
+  if (programResult) {
+    reportProgramSet(programResult);
+    return;
+  }
+
+  const auto = set.summary.autoregulation;
+  setStatus(`Set Saved${autoregulationNote(auto)}. Rest ${formatClock(auto.suggested_rest_sec * 1000)}, park to start next.`, "#3b82f6");
+}
+
+function autoregulationNote(auto) {
+  if (auto.outcome === "stopped") return " · stopped at the cutoff";
+  if (auto.outcome === "pushed_past") return ` · ${auto.reps_past_signal} past the cutoff`;
+  return "";
+}
+
+function onStopSignal(signal) {
+  state.overlay.stop = signal;
+  setStatus(`STOP SET: ${formatStopSignal(signal)}`, "#ef4444");
+}
+
+function onRepRecorded({ kind, rep, count, movement, side }) {
+  // Calibration wizard snatches don't count towards the test
+  if (kind === "snatch" && state.snatchTest && !state.wizard) {
+    const counted = state.snatchTest.addRep(rep, state.engine.state.timeMs);
+    if (!counted && rep.hand === "both") setStatus("Snatch tests count single-bell snatches only", "#fbbf24");
+  }
+
+  if (kind === "clean") updateCleanDisplay(count, rep.velocity);
+  else if (kind === "press") updatePressDisplay(count, rep.velocity);
+  else if (kind === "snatch") updateSnatchDisplay(count, rep.velocity);
+  else if (kind === "swing") updateSwingDisplay(count, rep.velocity);
+  else if (kind === "squat") updateSquatDisplay(count, rep.velocity);
+
+  state.overlay.lastRepCurve = rep.curve;
+  state.overlay.flash = {
+    text: `${formatMovementName(movement)} · ${rep.velocity.toFixed(2)} m/s`,
+    color: velocityColor(rep.velocity, 1),
+    atMs: state.timeMs
+  };
+
+  updateMovementDisplay(movement, side);
+  updateLastRepDisplay(rep);
+  updateTotalReps();
+  updatePerHandDisplay();
+}
+
+function onHandSwitched({ to }) {
+  const handsEl = document.getElementById('active-hands');
+  if (handsEl) handsEl.textContent = to === 'left' ? 'Left' : 'Right';
+
+  setStatus(`SWITCH → ${to.toUpperCase()}`, "#10b981");
+}
+
+// ============================================
+// UI UPDATES - ALL FIXED
+// ============================================
+
+function updateCleanDisplay(count, velocity) {
+  const countEl = document.getElementById("val-cleans");
+  const velEl = document.getElementById("val-clean-velocity");
+
+  if (countEl) countEl.textContent = count;
+  if (velEl) velEl.textContent = velocity.toFixed(2);
+}
+
+function updatePressDisplay(count, velocity) {
+  const countEl = document.getElementById("val-presses");
+  const velEl = document.getElementById("val-press-velocity");
+
+  if (countEl) countEl.textContent = count;
+  if (velEl) velEl.textContent = velocity.toFixed(2);
+}
+
+const DROP_LABELS = { clean: "Clean", press: "Press", snatch: "Snatch", swing: "Swing" };
+
+const DROP_COLORS = {
+  ok: "#10b981",
+  warn: "#fbbf24",
+  fail: "#ef4444"
+};
+
+function updateDropDisplay({ kind, drop, level, best_drop }) {
+  state.overlay.drops[kind] = { drop, level };
+
+  const bestEl = document.getElementById(`val-${kind}-best`);
+  if (bestEl) bestEl.textContent = formatDrop(best_drop);
+
+  const dropEl = document.getElementById(`val-${kind}-drop`);
+  if (!dropEl) return;
+
+  dropEl.textContent = formatDrop(drop);
+  dropEl.style.color = DROP_COLORS[level] || "#fff";
+}
+
+function updateSnatchDisplay(count, velocity) {
+  const countEl = document.getElementById("val-snatches");
+  const velEl = document.getElementById("val-snatch-velocity");
+
+  if (countEl) countEl.textContent = count;
+  if (velEl) velEl.textContent = velocity.toFixed(2);
+}
+
+function updateSwingDisplay(count, velocity) {
+  const countEl = document.getElementById("val-swings");
+  const velEl = document.getElementById("val-swing-velocity");
+
+  if (countEl) countEl.textContent = count;
+  if (velEl) velEl.textContent = velocity.toFixed(2);
+}
+
+function updateSquatDisplay(count, velocity) {
+  const countEl = document.getElementById("val-squats");
+  const velEl = document.getElementById("val-squat-velocity");
+
+  if (countEl) countEl.textContent = count;
+  if (velEl) velEl.textContent = velocity.toFixed(2);
+}
+
+function updateArmVelocityDisplay(left, right) {
+  const armsEl = document.getElementById("arm-velocity");
+  if (armsEl) armsEl.textContent = `L ${left.toFixed(2)} / R ${right.toFixed(2)} m/s`;
+}
+
+function updateLastRepDisplay(rep) {
+  const lastRepEl = document.getElementById("last-rep");
+  if (!lastRepEl) return;
+
+  // Occluded or guessed landmarks for much of the rep
+  const warning = rep.low_confidence ? "⚠ Low confidence · " : "";
+  lastRepEl.style.color = rep.low_confidence ? "#f59e0b" : "";
+
+  if (rep.mcv === null) {
+    lastRepEl.textContent = `${warning}Peak ${rep.velocity.toFixed(2)} m/s`;
+    return;
+  }
+
+  const power = rep.mean_power_w !== null ? ` · ${Math.round(rep.mean_power_w)} W` : "";
+  lastRepEl.textContent = `${warning}Peak ${rep.velocity.toFixed(2)} / MCV ${rep.mcv.toFixed(2)} m/s · ` +
+    `${rep.displacement_m.toFixed(2)} m in ${(rep.concentric_ms / 1000).toFixed(2)}s${power}`;
+}
+
+const CALIBRATION_LABELS = { manual: "Manual", world: "World Landmarks", default: "Default Torso" };
+
+function updateCalibrationDisplay() {
+  const calEl = document.getElementById("calibration-info");
+  if (!calEl) return;
+
+  const cal = state.engine.state.calibration;
+  if (!cal.px_per_meter) {
+    calEl.textContent = "—";
+    calEl.style.color = "";
+    return;
+  }
+
+  calEl.textContent = `${CALIBRATION_LABELS[cal.source]} · ${Math.round(cal.px_per_meter)} px/m · ${Math.round(cal.confidence * 100)}%`;
+  calEl.style.color = cal.confidence >= 0.7 ? "#10b981" : cal.confidence >= 0.4 ? "#f59e0b" : "#ef4444";
+}
+
+function updateTotalReps() {
+  if (!state.session.currentSet) return;
+
+  const cleans = (state.session.currentSet.cleans || []).length;
+  const presses = (state.session.currentSet.presses || []).length;
+  const snatches = (state.session.currentSet.snatches || []).length;
+  const swings = (state.session.currentSet.swings || []).length;
+  const squats = (state.session.currentSet.squats || []).length;
+
+  const total = cleans + presses + snatches + swings + squats;
+
+  const totalEl = document.getElementById("val-total-reps");
   if (totalEl) totalEl.textContent = total;
 }
 
-function updateMovementDisplay(movementType) {
+function updatePerHandDisplay() {
+  const perHandEl = document.getElementById("per-hand-reps");
+  if (!perHandEl || !state.session.currentSet) return;
+
+  const perHand = summarizeSet(state.session.currentSet, state.engine.getConfig()).per_hand;
+  const left = perHand.left ? perHand.left.total : 0;
+  const right = perHand.right ? perHand.right.total : 0;
+  perHandEl.textContent = `L ${left} / R ${right}`;
+}
+
+// Rate and interval for the set in progress; between sets, the rest so far
+function updateDensityDisplay(timeMs) {
+  const set = state.session.currentSet;
+  const history = state.session.history;
+  const last = history[history.length - 1];
+
+  if (set) {
+    const tempo = summarizeTempo(set, timeMs);
+    const intervals = tempo.rep_intervals_ms;
+    document.getElementById("val-rpm").textContent = tempo.reps_per_min !== null ? tempo.reps_per_min.toFixed(1) : "0.0";
+    document.getElementById("val-interval").textContent = intervals.length ? formatSeconds(intervals[intervals.length - 1]) : "--";
+  } else if (last) {
+    const rest = restBetween(last, { clock: state.engine.state.clock, lockedAtMs: timeMs, startTime: new Date() });
+    const auto = last.summary && last.summary.autoregulation;
+    const suggestedMs = auto ? auto.suggested_rest_sec * 1000 : null;
+    const restEl = document.getElementById("val-rest");
+    restEl.textContent = `${rest !== null ? formatClock(rest) : "--"}${suggestedMs !== null ? ` / ${formatClock(suggestedMs)}` : ""}`;
+    restEl.style.color = rest !== null && suggestedMs !== null && rest >= suggestedMs ? "#10b981" : "";
+  }
+
+  document.getElementById("val-work-rest").textContent = formatWorkRest(summarizeSession(history).work_rest_ratio);
+}
+
+function updateTutDisplay({ eccentric_ms, tut_ms }) {
+  const eccentric = eccentric_ms > 0 ? ` (ecc ${formatSeconds(eccentric_ms)})` : "";
+  document.getElementById("val-tut").textContent = `${formatSeconds(tut_ms)}${eccentric}`;
+}
+
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1)} s`;
+}
+
+function updateMovementDisplay(movementType, side) {
   const movementEl = document.getElementById('detected-movement');
   const configEl = document.getElementById('detected-config');
   const handsEl = document.getElementById('active-hands');
@@ -869,7 +1729,9 @@ function updateMovementDisplay(movementType) {
   movementEl.textContent = displayName;
 
   movementEl.className = 'movement-text';
-  if (movementType.includes('SWING')) {
+  if (movementType.includes('SQUAT')) {
+    movementEl.classList.add('squat');
+  } else if (movementType.includes('SWING')) {
     movementEl.classList.add('swing');
   } else if (movementType.includes('CLEAN')) {
     movementEl.classList.add('clean');
@@ -879,8 +1741,8 @@ function updateMovementDisplay(movementType) {
     movementEl.classList.add('press');
   }
 
-  configEl.textContent = 'Single Kettlebell';
-  handsEl.textContent = state.lockedSide === 'left' ? 'Left' : state.lockedSide === 'right' ? 'Right' : '—';
+  configEl.textContent = side === 'both' ? 'Double Kettlebell' : 'Single Kettlebell';
+  handsEl.textContent = side === 'left' ? 'Left' : side === 'right' ? 'Right' : side === 'both' ? 'Both' : '—';
   statusIndicator.className = 'status-indicator locked';
 }
 
@@ -893,7 +1755,13 @@ function formatMovementName(movementType) {
     'SNATCH_SINGLE_LEFT': 'One Arm Snatch (L)',
     'SNATCH_SINGLE_RIGHT': 'One Arm Snatch (R)',
     'PRESS_SINGLE_LEFT': 'One Arm Press (L)',
-    'PRESS_SINGLE_RIGHT': 'One Arm Press (R)'
+    'PRESS_SINGLE_RIGHT': 'One Arm Press (R)',
+    'DOUBLE_CLEAN': 'Double Clean',
+    'DOUBLE_RE_CLEAN': 'Double Re-Clean',
+    'DOUBLE_PRESS': 'Double Press',
+    'DOUBLE_SNATCH': 'Double Snatch',
+    'DOUBLE_SWING': 'Double Swing',
+    'DOUBLE_FRONT_SQUAT': 'Double Front Squat'
   };
   return typeMap[movementType] || movementType.replace(/_/g, ' ');
 }
@@ -910,6 +1778,18 @@ function resetMovementDisplay() {
   }
   if (configEl) configEl.textContent = '—';
   if (handsEl) handsEl.textContent = '—';
+
+  const armsEl = document.getElementById('arm-velocity');
+  if (armsEl) armsEl.textContent = '—';
+
+  const lastRepEl = document.getElementById('last-rep');
+  if (lastRepEl) {
+    lastRepEl.textContent = '—';
+    lastRepEl.style.color = '';
+  }
+
+  const perHandEl = document.getElementById('per-hand-reps');
+  if (perHandEl) perHandEl.textContent = '—';
   if (statusIndicator) statusIndicator.className = 'status-indicator detecting';
 }
 
@@ -929,29 +1809,35 @@ function setStatus(text, color) {
 function drawOverlay() {
   if (!state.lastPose) return;
 
+  const engineState = state.engine.state;
+  const trackedSide = engineState.testStage === "IDLE" ? engineState.activeTrackingSide : engineState.lockedSide;
+
+  drawZoneBands(state.lastPose, trackedSide);
+  drawRepTrails(engineState);
+
   if (CONFIG.DEBUG_MODE) {
     state.ctx.fillStyle = "#fbbf24";
     state.ctx.font = "12px monospace";
-    state.ctx.fillText(`Side: ${state.testStage === "IDLE" ? state.activeTrackingSide : state.lockedSide}`, 10, 20);
-    state.ctx.fillText(`Speed: ${state.lastSpeed.toFixed(2)} m/s`, 10, 35);
-    state.ctx.fillText(`Vy: ${state.lastVy.toFixed(2)} m/s`, 10, 50);
-    state.ctx.fillText(`Stage: ${state.testStage}`, 10, 65);
-    state.ctx.fillText(`Phase: ${state.phase}`, 10, 80);
-
-    if (state.testStage === "RUNNING") {
-      const zone = getWristZone(state.lastPose, state.lockedSide);
+    state.ctx.fillText(`Side: ${engineState.testStage === "IDLE" ? engineState.activeTrackingSide : engineState.lockedSide}`, 10, 20);
+    state.ctx.fillText(`Speed: ${engineState.lastSpeed.toFixed(2)} m/s`, 10, 35);
+    state.ctx.fillText(`Vy: ${engineState.lastVy.toFixed(2)} m/s`, 10, 50);
+    state.ctx.fillText(`Stage: ${engineState.testStage}`, 10, 65);
+    state.ctx.fillText(`Phase: ${engineState.phase}`, 10, 80);
+
+    if (engineState.testStage === "RUNNING") {
+      const zone = getWristZone(state.lastPose, engineState.lockedSide, state.engine.getConfig());
       state.ctx.fillText(`Zone: ${zone}`, 10, 95);
     }
   }
 
-  const side = state.testStage === "IDLE" ? state.activeTrackingSide : state.lockedSide;
+  const side = engineState.testStage === "IDLE" ? engineState.activeTrackingSide : engineState.lockedSide;
 
-  if (state.testStage === "RUNNING" && side !== "unknown") {
+  if (engineState.testStage === "RUNNING" && side !== "unknown") {
     const idx = side === "left" ? CONFIG.LEFT : CONFIG.RIGHT;
     const wrist = state.lastPose[idx.WRIST];
     drawDot(wrist, true, "#10b981");
 
-    const inZone = isWristInFloorZone(state.lastPose, side);
+    const inZone = isWristInFloorZone(state.lastPose, side, state.engine.getConfig());
     drawParkingLine(state.lastPose, side, inZone);
   } else {
     const lWrist = state.lastPose[CONFIG.LEFT.WRIST];
@@ -963,8 +1849,166 @@ function drawOverlay() {
 
     drawDot(lWrist, lowest==="left", color);
     drawDot(rWrist, lowest==="right", color);
-    drawParkingLine(state.lastPose, lowest, isWristInFloorZone(state.lastPose, lowest));
+    drawParkingLine(state.lastPose, lowest, isWristInFloorZone(state.lastPose, lowest, state.engine.getConfig()));
+  }
+
+  drawRepFlash();
+  drawStopSignal();
+  if (state.videoExport.recorder) drawRecordingHud();
+}
+
+// Zone boundaries from getZoneBounds, the ones getWristZone checks. Double
+// bells zone each wrist against its own side, so each side's bands cover
+// its half of the frame.
+function drawZoneBands(pose, side) {
+  const config = state.engine.getConfig();
+  const sides = side === "both" ? ["left", "right"] : side === "right" ? ["right"] : ["left"];
+  const w = state.canvas.width;
+  const ctx = state.ctx;
+
+  ctx.save();
+  ctx.font = "11px monospace";
+
+  sides.forEach(name => {
+    const bounds = getZoneBounds(pose, name, config);
+    if (!bounds) return;
+
+    let left = 0;
+    let right = w;
+    if (sides.length > 1) {
+      const shoulder = pose[(name === "left" ? config.LEFT : config.RIGHT).SHOULDER];
+      if (shoulder.x < bounds.torsoCenter) right = bounds.torsoCenter * w;
+      else left = bounds.torsoCenter * w;
+    }
+    drawSideBands(bounds, config.MOVEMENT, left, right);
+  });
+
+  ctx.restore();
+}
+
+// One side's bands between x = left and x = right (pixels)
+function drawSideBands(bounds, M, left, right) {
+  const ctx = state.ctx;
+  const w = state.canvas.width;
+  const h = state.canvas.height;
+  const rackTop = bounds.rackTop * h;
+  const rackBottom = bounds.rackBottom * h;
+
+  const bands = [
+    { label: "OVERHEAD", top: 0, bottom: bounds.overheadY * h, color: "rgba(239, 68, 68, 0.08)" },
+    { label: "RACK", top: rackTop, bottom: rackBottom, color: "rgba(59, 130, 246, 0.08)" }
+  ];
+  if (bounds.kneeY !== null) {
+    bands.push(
+      { label: "BACKSWING", top: bounds.hipY * h, bottom: bounds.kneeY * h, color: "rgba(245, 158, 11, 0.08)" },
+      { label: "FLOOR", top: bounds.kneeY * h, bottom: h, color: "rgba(16, 185, 129, 0.08)" }
+    );
+  }
+
+  bands.forEach(band => {
+    if (band.bottom <= band.top) return;
+    ctx.fillStyle = band.color;
+    ctx.fillRect(left, band.top, right - left, band.bottom - band.top);
+    ctx.fillStyle = "rgba(255, 255, 255, 0.5)";
+    ctx.fillText(band.label, right - 80, Math.max(band.top, 0) + 14);
+  });
+
+  // Rack only counts inside the horizontal proximity window
+  ctx.strokeStyle = "rgba(59, 130, 246, 0.7)";
+  ctx.setLineDash([6, 4]);
+  ctx.lineWidth = 2;
+  ctx.strokeRect(
+    (bounds.torsoCenter - M.CLEAN_HORIZONTAL_PROXIMITY) * w,
+    rackTop,
+    M.CLEAN_HORIZONTAL_PROXIMITY * 2 * w,
+    rackBottom - rackTop
+  );
+}
+
+// Current rep fades in along its path; the previous rep stays faint
+function drawRepTrails(engineState) {
+  if (state.overlay.lastRepCurve) drawTrail(state.overlay.lastRepCurve, 0.3, 0.3);
+
+  const inRep = ["BOTTOM", "CONCENTRIC", "SQUAT"].includes(engineState.phase);
+  if (engineState.testStage === "RUNNING" && inRep) drawTrail(engineState.repSamples, 0.3, 1);
+}
+
+function drawTrail(points, startAlpha, endAlpha) {
+  if (!points || points.length < 2) return;
+
+  const ctx = state.ctx;
+  ctx.save();
+  ctx.lineWidth = 4;
+  ctx.lineCap = "round";
+
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const alpha = startAlpha + (endAlpha - startAlpha) * (i / (points.length - 1));
+
+    ctx.beginPath();
+    ctx.strokeStyle = velocityColor(b.vs, alpha);
+    ctx.moveTo(a.x * state.canvas.width, a.y * state.canvas.height);
+    ctx.lineTo(b.x * state.canvas.width, b.y * state.canvas.height);
+    ctx.stroke();
   }
+  ctx.restore();
+}
+
+// Blue when slow through green to red at TRAIL_MAX_VELOCITY and above
+const TRAIL_MAX_VELOCITY = 4;
+
+function velocityColor(velocity, alpha) {
+  const t = Math.min(1, Math.max(0, velocity / TRAIL_MAX_VELOCITY));
+  return `hsla(${Math.round(220 - 220 * t)}, 90%, 55%, ${alpha})`;
+}
+
+const FLASH_MS = 1500;
+
+function drawRepFlash() {
+  const flash = state.overlay.flash;
+  if (!flash) return;
+
+  const age = state.timeMs - flash.atMs;
+  if (age < 0 || age > FLASH_MS) return;
+
+  const ctx = state.ctx;
+  ctx.save();
+  ctx.globalAlpha = 1 - age / FLASH_MS;
+  ctx.font = "bold 24px sans-serif";
+  ctx.textAlign = "center";
+
+  const x = state.canvas.width / 2;
+  const textWidth = ctx.measureText(flash.text).width;
+  ctx.fillStyle = "rgba(15, 23, 42, 0.8)";
+  ctx.fillRect(x - textWidth / 2 - 12, 16, textWidth + 24, 40);
+  ctx.fillStyle = flash.color;
+  ctx.fillText(flash.text, x, 45);
+  ctx.restore();
+}
+
+// Stays up until the set ends, counting the reps done after it
+function drawStopSignal() {
+  const stop = state.overlay.stop;
+  const set = state.session.currentSet;
+  if (!stop || !set) return;
+
+  const past = REP_LISTS.reduce((sum, list) => sum + (set[list] || []).length, 0) - stop.rep;
+  const text = past > 0 ? `STOP SET · +${past} past` : "STOP SET";
+
+  const ctx = state.ctx;
+  ctx.save();
+  ctx.font = "bold 32px sans-serif";
+  ctx.textAlign = "center";
+
+  const x = state.canvas.width / 2;
+  const y = state.canvas.height / 2;
+  const textWidth = ctx.measureText(text).width;
+  ctx.fillStyle = "rgba(239, 68, 68, 0.85)";
+  ctx.fillRect(x - textWidth / 2 - 16, y - 30, textWidth + 32, 48);
+  ctx.fillStyle = "#fff";
+  ctx.fillText(text, x, y + 5);
+  ctx.restore();
 }
 
 function drawParkingLine(pose, side, isActive) {
@@ -998,29 +2042,18 @@ function drawDot(landmark, big, color) {
 // ============================================
 
 function resetSession() {
-  state.session = { currentSet: null, history: [] };
-  state.cleanHistory = [];
-  state.pressHistory = [];
-  state.cleanBaseline = 0;
-  state.pressBaseline = 0;
-  state.testStage = "IDLE";
-  state.lockedSide = "unknown";
-  state.activeTrackingSide = "left";
-  state.armingSide = null;
-  state.smoothedVelocity = 0;
-  state.smoothedVy = 0;
-  state.lastSpeed = 0;
-  state.lastVy = 0;
-  state.lockedCalibration = null;
-  state.prevWrist = null;
-  state.phase = "IDLE";
-  state.currentRepPeak = 0;
-  state.overheadHoldCount = 0;
-  state.parkingConfirmed = false;
-  state.currentRepPeakWristY = 1.0;
-  state.currentRepPeakWristX = 0.5;
-  state.endingConfirmCount = 0;
-  state.repStartedFrom = null;
+  if (state.session.history.length) persistSession(true);
+  state.session = createSession(athleteRef(state.athlete));
+  state.overlay = { lastRepCurve: null, flash: null, drops: {}, stop: null };
+  state.timeline = { samples: [], maxVelocity: 0 };
+  state.engine.reset();
+  updateCalibrationDisplay();
+
+  if (state.snatchTest) selectSnatchTest(state.snatchTest.state.protocol.id);
+  if (state.workout) selectProgram(state.workout.program);
+
+  const lastEl = document.getElementById("program-last");
+  if (lastEl) lastEl.textContent = "—";
 
   // Reset video to beginning
   if (state.video && state.video.src) {
@@ -1029,19 +2062,19 @@ function resetSession() {
   }
 
   // Reset ALL UI elements
-  const countEls = ['val-cleans', 'val-presses', 'val-snatches', 'val-swings', 'val-total-reps'];
+  const countEls = ['val-cleans', 'val-presses', 'val-snatches', 'val-swings', 'val-squats', 'val-total-reps'];
   countEls.forEach(id => {
     const el = document.getElementById(id);
     if (el) el.textContent = '0';
   });
 
-  const velEls = ['val-clean-velocity', 'val-press-velocity', 'val-snatch-velocity', 'val-swing-velocity', 'val-velocity'];
+  const velEls = ['val-clean-velocity', 'val-press-velocity', 'val-snatch-velocity', 'val-swing-velocity', 'val-squat-velocity', 'val-velocity'];
   velEls.forEach(id => {
     const el = document.getElementById(id);
     if (el) el.textContent = '0.00';
   });
 
-  const dropEls = ['val-clean-drop', 'val-press-drop'];
+  const dropEls = ['val-clean-drop', 'val-press-drop', 'val-snatch-drop', 'val-swing-drop', 'val-clean-best', 'val-press-best', 'val-snatch-best', 'val-swing-best'];
   dropEls.forEach(id => {
     const el = document.getElementById(id);
     if (el) {
@@ -1050,7 +2083,12 @@ function resetSession() {
     }
   });
 
-  resetMovementDisplay();
+  document.getElementById("val-rpm").textContent = "0.0";
+  ['val-interval', 'val-tut', 'val-rest', 'val-work-rest'].forEach(id => {
+    document.getElementById(id).textContent = '--';
+  });
+
+  resetMovementDisplay();
   setStatus("Session Cleared — Ready", "#3b82f6");
 
   if (CONFIG.DEBUG_MODE) {
@@ -1062,46 +2100,981 @@ function resetSession() {
 // EXPORT
 // ============================================
 
-async function exportToMake() {
-  const history = state.session.history;
-  if (!history.length) {
+// Exports the current session, or a saved one from the history panel, to
+// every enabled destination
+async function exportSession(record = sessionRecord(state.session, false)) {
+  if (!record.sets.length) {
     alert("No completed sets to export.");
     return;
   }
 
-  const payload = {
-    athlete_id: "dad_ready_user",
-    session_date: new Date().toISOString(),
-    sets: history.map((set, index) => ({
-      set_order: index + 1,
-      hand: set.hand,
-      cleans: set.cleans || [],
-      presses: set.presses || [],
-      snatches: set.snatches || [],
-      swings: set.swings || [],
-      summary: set.summary || {}
-    }))
+  const destinations = state.destinations.filter(d => d.enabled);
+  if (!destinations.length) {
+    alert("No export destinations enabled. Turn one on under Destinations.");
+    return;
+  }
+
+  const payload = buildExportPayload(record);
+  console.log("EXPORTING:", JSON.stringify(payload, null, 2));
+  setStatus("Exporting...", "#8b5cf6");
+
+  const stamp = record.started_at.slice(0, 19).replace(/[:T]/g, "-");
+  const results = [];
+
+  for (const dest of destinations) {
+    if (dest.type === "json") {
+      downloadJSON(`vbt-session-${stamp}.json`, buildExportPayload(record, { includeCurves: true }));
+      results.push({ dest, text: "downloaded", level: "ok" });
+    } else if (dest.type === "csv") {
+      downloadBlob(`vbt-reps-${stamp}.csv`, new Blob([buildRepCsv(payload)], { type: "text/csv" }));
+      results.push({ dest, text: "downloaded", level: "ok" });
+    } else {
+      results.push({ dest, ...(await sendToWebhook(payload, new Date(record.started_at).toLocaleString(), dest)) });
+    }
+  }
+
+  const levels = results.map(r => r.level);
+  const color = levels.includes("error") ? "#ef4444" : levels.includes("queued") ? "#fbbf24" : "#10b981";
+  setStatus(results.map(r => `${r.dest.name}: ${r.text}`).join(" · "), color);
+}
+
+// Queued first so nothing is lost if the send fails
+async function sendToWebhook(payload, label, dest) {
+  if (!dest.url) return { text: "no URL set", level: "error" };
+
+  let queued;
+  try {
+    queued = await state.outbox.enqueue(payload, label, dest);
+  } catch (e) {
+    console.error("Outbox unavailable:", e);
+    return { text: "could not be queued (Check Console)", level: "error" };
+  }
+
+  if (queued.duplicate) return { text: "already sent, resend from the Outbox", level: "ok" };
+  if (!navigator.onLine) return { text: "offline, queued", level: "queued" };
+
+  const entry = await state.outbox.deliver(queued.entry.id);
+
+  if (!entry) return { text: "removed from the Outbox", level: "error" };
+  if (entry.status === "sent") return { text: "sent", level: "ok" };
+  if (entry.status === "failed") return { text: `rejected (${entry.last_error})`, level: "error" };
+  if (state.outbox.isSending(entry.id)) return { text: "queued, sending", level: "queued" };
+
+  console.error("Network Error:", entry.last_error);
+  return { text: "network error, queued for retry", level: "queued" };
+}
+
+// ============================================
+// EXPORT DESTINATIONS
+// ============================================
+
+function toggleDestinationsPanel() {
+  const panel = document.getElementById("destinations-panel");
+  panel.hidden = !panel.hidden;
+  renderDestinations();
+}
+
+// Secrets stay with the destinations, not in the queued exports
+function destinationSecret(id) {
+  const dest = state.destinations.find(d => d.id === id);
+  return dest ? dest.secret : "";
+}
+
+function addWebhookDestination() {
+  state.destinations.push(createDestination("webhook"));
+  storeDestinations();
+  renderDestinations();
+}
+
+function storeDestinations() {
+  try {
+    saveDestinations(state.destinations);
+  } catch (e) {
+    console.warn("Export destinations not saved:", e);
+  }
+}
+
+function renderDestinations() {
+  const list = document.getElementById("destinations-list");
+  list.textContent = "";
+
+  state.destinations.forEach(dest => {
+    const row = document.createElement("div");
+    row.className = "info-row destination-row";
+
+    const enabled = document.createElement("input");
+    enabled.type = "checkbox";
+    enabled.checked = dest.enabled;
+    enabled.title = "Export to this destination";
+    enabled.onchange = () => updateDestination(dest, { enabled: enabled.checked });
+    row.appendChild(enabled);
+
+    if (dest.type !== "webhook") {
+      const label = document.createElement("span");
+      label.textContent = dest.name;
+      row.appendChild(label);
+      list.appendChild(row);
+      return;
+    }
+
+    row.appendChild(destinationInput(dest, "name", "Name", "text"));
+    row.appendChild(destinationInput(dest, "url", "https://...", "url"));
+    row.appendChild(destinationInput(dest, "secret", "HMAC secret (optional)", "password"));
+
+    const headers = document.createElement("textarea");
+    headers.className = "file-input text-input";
+    headers.rows = 2;
+    headers.placeholder = "Header-Name: value (one per line)";
+    headers.value = formatHeaders(dest.headers);
+    headers.onchange = () => updateDestination(dest, { headers: parseHeaders(headers.value) });
+    row.appendChild(headers);
+
+    row.appendChild(historyButton("Delete", () => {
+      if (!confirm(`Delete the "${dest.name}" destination?`)) return;
+      state.destinations = state.destinations.filter(d => d !== dest);
+      storeDestinations();
+      renderDestinations();
+    }));
+
+    list.appendChild(row);
+  });
+}
+
+function destinationInput(dest, key, placeholder, type) {
+  const input = document.createElement("input");
+  input.type = type;
+  input.className = "file-input text-input";
+  input.placeholder = placeholder;
+  input.value = dest[key];
+  input.onchange = () => updateDestination(dest, { [key]: input.value.trim() });
+  return input;
+}
+
+function updateDestination(dest, changes) {
+  Object.assign(dest, changes);
+  storeDestinations();
+}
+
+// ============================================
+// EXPORT OUTBOX
+// ============================================
+
+function startOutbox() {
+  const flush = () => {
+    if (navigator.onLine) state.outbox.flush().catch(e => console.warn("Outbox flush failed:", e));
+  };
+
+  window.addEventListener("online", flush);
+  setInterval(flush, CONFIG.OUTBOX_POLL_MS);
+  flush();
+  renderOutbox();
+}
+
+async function toggleOutboxPanel() {
+  const panel = document.getElementById("outbox-panel");
+  panel.hidden = !panel.hidden;
+  await renderOutbox();
+}
+
+const OUTBOX_COLORS = { pending: "#fbbf24", sent: "#10b981", failed: "#ef4444" };
+
+async function renderOutbox() {
+  const btn = document.getElementById("btn-outbox");
+  const list = document.getElementById("outbox-list");
+  if (!btn || !list) return;
+
+  let entries = [];
+  try {
+    entries = await state.outbox.list();
+  } catch (e) {
+    list.textContent = "Export outbox is not available in this browser.";
+    return;
+  }
+
+  const waiting = entries.filter(e => e.status !== "sent").length;
+  btn.textContent = waiting ? `Outbox (${waiting})` : "Outbox";
+
+  if (document.getElementById("outbox-panel").hidden) return;
+
+  list.textContent = "";
+  if (!entries.length) {
+    list.textContent = "No exports yet.";
+    return;
+  }
+
+  entries.slice().reverse().forEach(entry => {
+    const row = document.createElement("div");
+    row.className = "info-row history-row";
+
+    const label = document.createElement("span");
+    const detail = entry.status === "sent"
+      ? `sent ${new Date(entry.sent_at).toLocaleTimeString()}`
+      : `${entry.attempts} attempts${entry.last_error ? ` · ${entry.last_error}` : ""}`;
+    label.textContent = `${entry.destination.name} · ${entry.label} · ${entry.status.toUpperCase()} · ${detail}`;
+    label.style.color = OUTBOX_COLORS[entry.status];
+    row.appendChild(label);
+
+    const actions = document.createElement("span");
+    actions.className = "history-actions";
+    actions.appendChild(historyButton("Resend", () => resendExport(entry)));
+    actions.appendChild(historyButton("Delete", () => state.outbox.remove(entry.id)));
+    row.appendChild(actions);
+
+    list.appendChild(row);
+  });
+}
+
+async function resendExport(entry) {
+  setStatus(`Exporting to ${entry.destination.name}...`, "#8b5cf6");
+  const result = await state.outbox.resend(entry.id);
+
+  if (result && result.status === "sent") {
+    setStatus("Success! Session Saved.", "#10b981");
+  } else {
+    setStatus(`Export ${result ? result.status : "missing"}: ${result && result.last_error ? result.last_error : "—"}`, "#ef4444");
+  }
+}
+
+// ============================================
+// SESSION HISTORY
+// ============================================
+
+function createSession(athlete = null) {
+  return {
+    id: createSessionId(),
+    startedAt: new Date().toISOString(),
+    athlete,
+    currentSet: null,
+    history: [],
+    saved: { snatch_test: null, program: null }
+  };
+}
+
+// Test and program results come from the live run, or from the saved record
+// when a reopened session hasn't started a new one
+function sessionRecord(session, finished) {
+  const snatchResult = state.snatchTest ? state.snatchTest.result() : null;
+  const programSummary = state.workout && state.workout.state.startMs !== null ? state.workout.summary() : null;
+
+  return {
+    id: session.id,
+    athlete_id: session.athlete ? session.athlete.id : CONFIG.ATHLETE_ID,
+    athlete_name: session.athlete ? session.athlete.name : null,
+    started_at: session.startedAt,
+    finished,
+    snatch_test: snatchResult || session.saved.snatch_test,
+    program: programSummary || session.saved.program,
+    density: summarizeSession(session.history),
+    press_profile: pressProfiles(session.history, pressMinVelocity(), state.engine.getConfig()),
+    sets: session.history
+  };
+}
+
+// Written after every set; storage failures never interrupt a session
+// A replayed trace's session is never stored
+function persistSession(finished) {
+  if (state.session.replay) return Promise.resolve();
+  return saveSession(sessionRecord(state.session, finished)).catch(e => {
+    console.warn("Session not saved:", e);
+  });
+}
+
+async function recoverUnfinishedSession() {
+  let record = null;
+  try {
+    record = await findUnfinishedSession();
+  } catch (e) {
+    console.warn("Session storage unavailable:", e);
+    return;
+  }
+  if (!record) return;
+
+  const when = new Date(record.started_at).toLocaleString();
+  if (confirm(`Recover the unfinished session from ${when} (${record.sets.length} sets)?`)) {
+    openSavedSession(record);
+  } else {
+    saveSession({ ...record, finished: true }).catch(e => console.warn("Session not saved:", e));
+  }
+}
+
+// Reopened sessions keep their id, so new sets are added to the same record
+function openSavedSession(record) {
+  if (state.engine.state.testStage === "RUNNING") {
+    alert("Finish the current set before opening a saved session.");
+    return;
+  }
+
+  resetSession();
+  state.session = {
+    id: record.id,
+    startedAt: record.started_at,
+    athlete: record.athlete_name ? { id: record.athlete_id, name: record.athlete_name } : null,
+    currentSet: null,
+    history: record.sets || [],
+    saved: { snatch_test: record.snatch_test || null, program: record.program || null }
   };
+  applyAthlete(state.athletes.find(a => a.id === record.athlete_id) || null);
+  // New sets carry on from the saved ones' ids
+  state.engine.state.setCount = Math.max(0, ...state.session.history.map(set => Number(set.id) || 0));
+
+  const reps = state.session.history.reduce((sum, set) => sum + REP_LISTS.reduce((n, list) => n + (set[list] || []).length, 0), 0);
+  setStatus(`Session Opened — ${state.session.history.length} sets, ${reps} reps`, "#10b981");
+}
+
+async function toggleHistoryPanel() {
+  const panel = document.getElementById("history-panel");
+  panel.hidden = !panel.hidden;
+  if (!panel.hidden) await renderHistory();
+}
+
+async function renderHistory() {
+  const list = document.getElementById("history-list");
+  list.textContent = "";
+
+  let sessions = [];
+  try {
+    sessions = await listSessions();
+  } catch (e) {
+    list.textContent = "Session storage is not available in this browser.";
+    return;
+  }
+
+  if (!sessions.length) {
+    list.textContent = "No saved sessions yet.";
+    return;
+  }
+
+  sessions.forEach(record => {
+    const sets = record.sets || [];
+    const reps = sets.reduce((sum, set) => sum + REP_LISTS.reduce((n, list) => n + (set[list] || []).length, 0), 0);
 
-  console.log("EXPORTING TO MAKE:", JSON.stringify(payload, null, 2));
-  setStatus("Exporting to Make...", "#8b5cf6");
+    const row = document.createElement("div");
+    row.className = "info-row history-row";
 
+    const label = document.createElement("span");
+    const current = record.id === state.session.id ? " (current)" : record.finished ? "" : " (unfinished)";
+    label.textContent = `${new Date(record.started_at).toLocaleString()} · ${record.athlete_name || record.athlete_id} · ${sets.length} sets, ${reps} reps${current}`;
+    row.appendChild(label);
+
+    const actions = document.createElement("span");
+    actions.className = "history-actions";
+    actions.appendChild(historyButton("Open", () => openSavedSession(record)));
+    actions.appendChild(historyButton("Export", () => exportSession(record)));
+    actions.appendChild(historyButton("Delete", () => removeSavedSession(record)));
+    row.appendChild(actions);
+
+    list.appendChild(row);
+  });
+}
+
+function historyButton(text, onClick) {
+  const btn = document.createElement("button");
+  btn.className = "btn btn-secondary btn-small";
+  btn.textContent = text;
+  btn.onclick = onClick;
+  return btn;
+}
+
+async function removeSavedSession(record) {
+  if (record.id === state.session.id) {
+    alert("That's the session in progress — Reset first to close it.");
+    return;
+  }
+  if (!confirm(`Delete the session from ${new Date(record.started_at).toLocaleString()}?`)) return;
+
+  try {
+    await deleteSession(record.id);
+  } catch (e) {
+    console.warn("Delete failed:", e);
+    setStatus("Error: Session not deleted", "#ef4444");
+    return;
+  }
+  await renderHistory();
+}
+
+// ============================================
+// PROGRESS
+// ============================================
+
+async function toggleProgressPanel() {
+  const panel = document.getElementById("progress-panel");
+  panel.hidden = !panel.hidden;
+  if (!panel.hidden) await renderProgress();
+}
+
+async function renderProgress() {
+  const summaryEl = document.getElementById("progress-summary");
+  const athleteSelect = document.getElementById("progress-athlete");
+  const movementSelect = document.getElementById("progress-movement");
+
+  let sessions = [];
   try {
-    const response = await fetch(CONFIG.MAKE_WEBHOOK_URL, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload)
+    sessions = await listSessions();
+  } catch (e) {
+    summaryEl.textContent = "Session storage is not available in this browser.";
+    return;
+  }
+
+  const athletes = sessionAthletes(sessions);
+  const selected = athleteSelect.value || (state.athlete ? state.athlete.id : CONFIG.ATHLETE_ID);
+  athleteSelect.textContent = "";
+  athletes.forEach(a => athleteSelect.appendChild(new Option(a.name || "Guest", a.id)));
+  athleteSelect.value = athletes.some(a => a.id === selected) ? selected : (athletes[0] ? athletes[0].id : "");
+
+  if (!movementSelect.options.length) {
+    PROGRESS_MOVEMENTS.forEach(m => movementSelect.appendChild(new Option(m.label, m.id)));
+  }
+
+  const movement = PROGRESS_MOVEMENTS.find(m => m.id === movementSelect.value);
+  const own = athleteSessions(sessions, athleteSelect.value);
+  const trend = movementTrend(own, movement.id, state.engine.getConfig());
+  const tests = snatchTestTrend(own);
+
+  summaryEl.textContent = progressSummary(own, trend, movement);
+
+  drawChart(document.getElementById("chart-velocity"), [
+    { label: "Best peak", color: "#10b981", type: "line", points: trend.map(p => ({ x: p.date, y: p.best })) },
+    { label: "Average peak", color: "#3b82f6", type: "line", points: trend.map(p => ({ x: p.date, y: p.average })) }
+  ], { unit: "m/s" });
+
+  drawChart(document.getElementById("chart-drop"), [
+    { label: "Set drop-off", color: "#fbbf24", type: "dots", points: trend.flatMap(p => p.set_drops.map(drop => ({ x: p.date, y: drop }))) },
+    { label: "Worst set", color: "#ef4444", type: "line", points: trend.map(p => ({ x: p.date, y: p.max_drop })) }
+  ], { unit: "%", empty: movement.fatigue ? "No sets with a drop-off yet" : "Front squats have no drop-off" });
+
+  drawChart(document.getElementById("chart-volume"), [
+    { label: "Reps", color: "#8b5cf6", type: "bars", points: trend.map(p => ({ x: p.date, y: p.reps })) }
+  ], { unit: "reps" });
+
+  drawChart(document.getElementById("chart-snatch-test"), [
+    { label: "Reps", color: "#ec4899", type: "line", points: tests.map(t => ({ x: t.date, y: t.reps })) },
+    { label: "Passed", color: "#10b981", type: "dots", points: tests.filter(t => t.passed).map(t => ({ x: t.date, y: t.reps })) },
+    { label: "Failed", color: "#ef4444", type: "dots", points: tests.filter(t => !t.passed).map(t => ({ x: t.date, y: t.reps })) }
+  ], { unit: "reps", empty: "No snatch tests yet" });
+}
+
+function progressSummary(own, trend, movement) {
+  if (!own.length) return "No saved sessions for this athlete yet.";
+  if (!trend.length) return `${own.length} sessions, none with ${movement.label.toLowerCase()}.`;
+
+  const parts = [`${own.length} sessions, ${trend.length} with ${movement.label.toLowerCase()}`];
+  const bests = trend.map(p => p.best).filter(v => v !== null);
+  if (bests.length) parts.push(`best ${Math.max(...bests).toFixed(2)} m/s`);
+
+  const change = weeklyChange(trend, "best");
+  if (change !== null) parts.push(`best peak ${change >= 0 ? "+" : ""}${change.toFixed(2)} m/s per week`);
+
+  const dropChange = weeklyChange(trend, "max_drop");
+  if (dropChange !== null) parts.push(`worst drop-off ${dropChange >= 0 ? "+" : ""}${dropChange.toFixed(1)}% per week`);
+
+  const last = trend[trend.length - 1];
+  if (last.volume_kg !== null) parts.push(`${Math.round(last.volume_kg)} kg moved last session`);
+  return parts.join(" · ");
+}
+
+// Dates along x (or whatever formatX labels), values up y.
+// Series types: "line" (with dots), "dots", "bars".
+function drawChart(canvas, series, { unit = "", empty = "No data yet", formatX = x => new Date(x).toLocaleDateString(), padX = 24 * 60 * 60 * 1000 } = {}) {
+  const ctx = canvas.getContext("2d");
+  const w = canvas.width;
+  const h = canvas.height;
+  const pad = { left: 48, right: 12, top: 24, bottom: 22 };
+  ctx.clearRect(0, 0, w, h);
+  ctx.font = "11px sans-serif";
+
+  const points = series.flatMap(s => s.points.filter(p => p.y !== null && p.y !== undefined));
+  if (!points.length) {
+    ctx.fillStyle = "#94a3b8";
+    ctx.fillText(empty, pad.left, h / 2);
+    return;
+  }
+
+  let minX = Math.min(...points.map(p => p.x));
+  let maxX = Math.max(...points.map(p => p.x));
+  if (minX === maxX) {
+    minX -= padX;
+    maxX += padX;
+  }
+  const minY = Math.min(0, ...points.map(p => p.y));
+  const maxY = Math.max(...points.map(p => p.y)) * 1.1 || 1;
+
+  const plotW = w - pad.left - pad.right;
+  const plotH = h - pad.top - pad.bottom;
+  const xAt = x => pad.left + ((x - minX) / (maxX - minX)) * plotW;
+  const yAt = y => pad.top + plotH - ((y - minY) / (maxY - minY)) * plotH;
+
+  for (let i = 0; i <= 4; i++) {
+    const value = minY + ((maxY - minY) * i) / 4;
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.08)";
+    ctx.beginPath();
+    ctx.moveTo(pad.left, yAt(value));
+    ctx.lineTo(w - pad.right, yAt(value));
+    ctx.stroke();
+    ctx.fillStyle = "#94a3b8";
+    ctx.fillText(`${value.toFixed(maxY - minY < 5 ? 2 : 0)}${unit === "%" ? "%" : ""}`, 4, yAt(value) + 4);
+  }
+  ctx.fillText(formatX(minX), pad.left, h - 6);
+  const lastLabel = formatX(maxX);
+  ctx.fillText(lastLabel, w - pad.right - ctx.measureText(lastLabel).width, h - 6);
+
+  let legendX = pad.left;
+  series.forEach(s => {
+    const shown = s.points.filter(p => p.y !== null && p.y !== undefined);
+    ctx.fillStyle = s.color;
+    ctx.strokeStyle = s.color;
+    ctx.fillText(s.label, legendX, 14);
+    legendX += ctx.measureText(s.label).width + 16;
+
+    if (s.type === "bars") {
+      const barW = Math.max(4, Math.min(24, plotW / (shown.length * 2)));
+      shown.forEach(p => ctx.fillRect(xAt(p.x) - barW / 2, yAt(p.y), barW, yAt(minY) - yAt(p.y)));
+      return;
+    }
+
+    if (s.type === "line") {
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      shown.forEach((p, i) => (i ? ctx.lineTo(xAt(p.x), yAt(p.y)) : ctx.moveTo(xAt(p.x), yAt(p.y))));
+      ctx.stroke();
+      ctx.lineWidth = 1;
+    }
+    shown.forEach(p => {
+      ctx.beginPath();
+      ctx.arc(xAt(p.x), yAt(p.y), 3, 0, Math.PI * 2);
+      ctx.fill();
     });
+  });
+}
 
-    if(response.ok) {
-      setStatus("Success! Session Saved.", "#10b981");
-    } else {
-      setStatus("Error: Make.com rejected payload.", "#ef4444");
+// ============================================
+// PRESS LOAD-VELOCITY
+// ============================================
+
+const LV_HAND_LABELS = { left: "Left Hand", right: "Right Hand", both: "Double Bells" };
+
+async function toggleLoadVelocityPanel() {
+  const panel = document.getElementById("lv-panel");
+  panel.hidden = !panel.hidden;
+  if (!panel.hidden) await renderLoadVelocity();
+}
+
+// The athlete's own threshold, else the one set for this visit, else CONFIG
+function pressMinVelocity() {
+  if (state.athlete && state.athlete.press_mvt > 0) return state.athlete.press_mvt;
+  return state.pressMinVelocity || CONFIG.LV_MIN_VELOCITY;
+}
+
+async function handleMinVelocityChange(e) {
+  const value = parseFloat(e.target.value);
+  const valid = value >= 0.05 && value <= 1.5;
+  e.target.classList.toggle("input-invalid", !valid);
+  if (!valid) return;
+
+  if (state.athlete) {
+    state.athlete.press_mvt = value;
+    await storeAthlete(state.athlete);
+  } else {
+    state.pressMinVelocity = value;
+  }
+  await renderLoadVelocity();
+}
+
+async function renderLoadVelocity() {
+  const config = state.engine.getConfig();
+  const minVelocity = pressMinVelocity();
+  const handSelect = document.getElementById("lv-hand");
+  const summaryEl = document.getElementById("lv-summary");
+  document.getElementById("lv-mvt").value = minVelocity;
+
+  const profiles = pressProfiles(state.session.history, minVelocity, config);
+  const hands = LV_HANDS.filter(hand => profiles[hand]);
+  const selected = profiles[handSelect.value] ? handSelect.value : hands[0] || "right";
+  handSelect.textContent = "";
+  LV_HANDS.forEach(hand => handSelect.appendChild(new Option(LV_HAND_LABELS[hand], hand)));
+  handSelect.value = selected;
+
+  const profile = profiles[selected];
+  const skipped = profiles.unattributed ? ` · ${profiles.unattributed} press${profiles.unattributed === 1 ? "" : "es"} without a hand left out` : "";
+  summaryEl.textContent = loadVelocitySummary(profile, minVelocity, config) + skipped;
+
+  const points = profile ? profile.points : [];
+  const loads = points.map(p => p.load_kg);
+  const series = [
+    { label: "Sets", color: "#f97316", type: "dots", points: points.map(p => ({ x: p.load_kg, y: p.velocity })) }
+  ];
+  if (profile && profile.fit) {
+    const to = profile.e1rm_kg !== null ? profile.e1rm_kg : Math.max(...loads);
+    const from = Math.min(...loads);
+    series.push({
+      label: "Profile",
+      color: "#3b82f6",
+      type: "line",
+      points: [from, to].map(kg => ({ x: kg, y: profile.fit.intercept + profile.fit.slope * kg }))
+    });
+  }
+  if (profile && profile.e1rm_kg !== null) {
+    series.push({ label: "Estimated 1RM", color: "#10b981", type: "dots", points: [{ x: profile.e1rm_kg, y: minVelocity }] });
+  }
+  drawChart(document.getElementById("chart-lv"), series, {
+    unit: "m/s",
+    empty: "No weighed presses this session",
+    formatX: kg => `${kg.toFixed(1)} kg`,
+    padX: 4
+  });
+
+  await renderE1rmTrend(selected, minVelocity, config);
+}
+
+function loadVelocitySummary(profile, minVelocity, config) {
+  if (!profile) return "Enter the bell weight, then press a few reps with each bell size.";
+  if (!profile.fit) return "One bell size so far — press another weight to fit the profile.";
+  if (profile.e1rm_kg === null) return "Velocity isn't falling as the load goes up — check the bell weights.";
+
+  const loose = profile.fit.r2 < 0.8 ? " (loose fit)" : "";
+  return `Estimated 1RM ${profile.e1rm_kg.toFixed(1)} kg at ${minVelocity.toFixed(2)} m/s ${config.LV_METRIC} · ` +
+    `${profile.fit.loads} loads, R² ${profile.fit.r2.toFixed(2)}${loose}`;
+}
+
+// Saved sessions of the session's athlete; the current one is saved after every set
+async function renderE1rmTrend(hand, minVelocity, config) {
+  const canvas = document.getElementById("chart-e1rm");
+  const trendEl = document.getElementById("lv-trend");
+  const athleteId = state.session.athlete ? state.session.athlete.id : CONFIG.ATHLETE_ID;
+
+  let sessions = [];
+  try {
+    sessions = athleteSessions(await listSessions(), athleteId);
+  } catch (e) {
+    trendEl.textContent = "Session storage is not available in this browser.";
+    drawChart(canvas, [], {});
+    return;
+  }
+
+  const trend = e1rmTrend(sessions, hand, minVelocity, config);
+  const change = weeklyChange(trend, "e1rm_kg");
+  trendEl.textContent = trend.length
+    ? `${trend.length} profiled sessions${change !== null ? ` · ${change >= 0 ? "+" : ""}${change.toFixed(1)} kg per week` : ""}`
+    : "";
+
+  drawChart(canvas, [
+    { label: "Estimated 1RM", color: "#10b981", type: "line", points: trend.map(t => ({ x: t.date, y: t.e1rm_kg })) }
+  ], { unit: "kg", empty: "No profiled sessions yet" });
+}
+
+// ============================================
+// REP REVIEW
+// ============================================
+
+function toggleReviewPanel() {
+  const panel = document.getElementById("review-panel");
+  panel.hidden = !panel.hidden;
+  if (!panel.hidden) renderReview();
+}
+
+function renderReview() {
+  const list = document.getElementById("review-list");
+  list.textContent = "";
+
+  const history = state.session.history;
+  if (!history.length) {
+    list.textContent = "No finished sets in this session yet.";
+    return;
+  }
+
+  history.forEach((set, setIndex) => {
+    const reps = setReps(set);
+
+    const header = document.createElement("div");
+    header.className = "info-row history-row";
+    const label = document.createElement("strong");
+    const auto = set.summary && set.summary.autoregulation;
+    label.textContent = `Set ${setIndex + 1} · ${set.bells} · ${set.hand} · ${reps.length} reps${auto ? autoregulationNote(auto) : ""}${set.edited ? " · edited" : ""}`;
+    header.appendChild(label);
+
+    const actions = document.createElement("span");
+    actions.className = "history-actions";
+    if (!reps.length) {
+      actions.appendChild(historyButton("Add Rep", () => addMissedRep(set, null, repTypesFor(set)[0])));
     }
-  } catch(e) {
-    console.error("Network Error:", e);
-    setStatus("Network Error (Check Console)", "#ef4444");
+    if (setIndex < history.length - 1) {
+      actions.appendChild(historyButton("Merge with Next", () => reviewEdit(() => mergeSets(history, setIndex, state.engine.getConfig()))));
+    }
+    header.appendChild(actions);
+    list.appendChild(header);
+
+    reps.forEach(({ list: repList, index, rep }, n) => {
+      list.appendChild(reviewRepRow(set, setIndex, repList, index, rep, n, n === reps.length - 1));
+    });
+  });
+}
+
+function reviewRepRow(set, setIndex, repList, index, rep, n, last) {
+  const config = state.engine.getConfig();
+  const row = document.createElement("div");
+  row.className = "info-row history-row";
+
+  const label = document.createElement("span");
+  label.className = "review-rep";
+  label.append(`${n + 1}. `);
+
+  const select = document.createElement("select");
+  select.className = "file-input";
+  repTypesFor(set).forEach(type => select.appendChild(new Option(type, type)));
+  select.value = rep.type;
+  select.onchange = () => reviewEdit(() => relabelRep(set, repList, index, select.value, config));
+  label.appendChild(select);
+
+  const velocity = rep.velocity ? `${rep.velocity.toFixed(2)} m/s` : "— m/s";
+  const edited = rep.edited === "relabeled" ? ` (was ${rep.original_type})` : rep.edited === "inserted" ? " (added)" : "";
+  label.append(` ${rep.hand || ""} · ${velocity}${edited}`);
+  row.appendChild(label);
+
+  const actions = document.createElement("span");
+  actions.className = "history-actions";
+  if (rep.video_time_ms !== null && rep.video_time_ms !== undefined && !state.video.srcObject) {
+    actions.appendChild(historyButton("Watch", () => seekToRep(rep)));
+  }
+  actions.appendChild(historyButton("+ After", () => addMissedRep(set, rep, rep.type)));
+  if (!last) {
+    actions.appendChild(historyButton("Split Here", () => reviewEdit(() => splitSet(state.session.history, setIndex, rep, state.engine.claimSetId(), config))));
   }
+  actions.appendChild(historyButton("Delete", () => reviewEdit(() => deleteRep(set, repList, index, config))));
+  row.appendChild(actions);
+
+  return row;
+}
+
+// Velocity is optional; a missed rep usually has none worth guessing
+function addMissedRep(set, after, type) {
+  const input = prompt(`Velocity of the missed ${type} in m/s (leave blank if unknown):`, "");
+  if (input === null) return;
+
+  const velocity = input.trim() ? parseFloat(input) : null;
+  if (input.trim() && !(velocity > 0)) {
+    alert("Velocity must be a positive number.");
+    return;
+  }
+  reviewEdit(() => insertRep(set, type, { after, velocity }, state.engine.getConfig()));
+}
+
+// Every edit is saved straight away
+function reviewEdit(edit) {
+  edit();
+  persistSession(false);
+  renderReview();
+  setStatus("Set Edited", "#3b82f6");
+}
+
+// ============================================
+// VIDEO EXPORT
+// ============================================
+
+const VIDEO_MIME_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+
+// Records the canvas as drawn (video, overlay and recording HUD)
+function toggleVideoRecording() {
+  const btn = document.getElementById("btn-video");
+  const rec = state.videoExport;
+
+  if (rec.recorder) {
+    rec.recorder.stop();
+    return;
+  }
+
+  if (typeof MediaRecorder === "undefined" || !state.canvas.captureStream) {
+    alert("Video recording isn't supported in this browser.");
+    return;
+  }
+
+  const mimeType = VIDEO_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+  if (!mimeType) {
+    alert("This browser can't record WebM video.");
+    return;
+  }
+
+  const stream = state.canvas.captureStream(CONFIG.VIDEO_EXPORT_FPS);
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: CONFIG.VIDEO_EXPORT_BITRATE });
+
+  rec.chunks = [];
+  rec.startedAt = new Date();
+  rec.clockStart = null;
+
+  recorder.ondataavailable = e => {
+    if (e.data && e.data.size > 0) rec.chunks.push(e.data);
+  };
+
+  recorder.onstop = () => {
+    stream.getTracks().forEach(track => track.stop());
+    rec.recorder = null;
+    btn.textContent = "Record Video";
+
+    if (!rec.chunks.length) {
+      setStatus("No video captured", "#fbbf24");
+      return;
+    }
+
+    const stamp = rec.startedAt.toISOString().replace(/[:.]/g, "-");
+    downloadBlob(`vbt-video-${stamp}.webm`, new Blob(rec.chunks, { type: "video/webm" }));
+    rec.chunks = [];
+    setStatus("Video Saved", "#10b981");
+  };
+
+  recorder.start(1000);
+  rec.recorder = recorder;
+  btn.textContent = "Stop & Download Video";
+  setStatus("Recording Video...", "#ef4444");
+}
+
+// Recorded frames are stamped with wall-clock time, so file analysis is held
+// back to real time while recording or the clip would play fast-forward.
+// Analysis slower than real time still comes out in slow motion.
+function waitForRecordingClock(mediaMs) {
+  const rec = state.videoExport;
+  if (!rec.recorder) return Promise.resolve();
+
+  if (rec.clockStart === null) rec.clockStart = performance.now() - mediaMs;
+  const waitMs = rec.clockStart + mediaMs - performance.now();
+  return waitMs > 0 ? new Promise(resolve => setTimeout(resolve, waitMs)) : Promise.resolve();
+}
+
+// Rep count, last rep and drop-off, burned into the recording
+function drawRecordingHud() {
+  const ctx = state.ctx;
+  const set = state.session.currentSet || state.session.history[state.session.history.length - 1];
+  const reps = set ? REP_LISTS.reduce((sum, list) => sum + (set[list] || []).length, 0) : 0;
+
+  const lines = [{ text: `Reps: ${reps}`, color: "#f1f5f9" }];
+  if (state.overlay.flash) lines.push({ text: state.overlay.flash.text, color: state.overlay.flash.color });
+  if (state.overlay.stop && state.session.currentSet) lines.push({ text: "STOP SET", color: "#ef4444" });
+
+  Object.entries(DROP_LABELS).forEach(([kind, lift]) => {
+    const fatigue = state.overlay.drops[kind];
+    if (fatigue) {
+      lines.push({ text: `${lift} drop: ${formatDrop(fatigue.drop)}`, color: DROP_COLORS[fatigue.level] || "#f1f5f9" });
+    }
+  });
+
+  const lineHeight = 22;
+  const boxHeight = lines.length * lineHeight + 12;
+  const top = state.canvas.height - boxHeight - 12;
+
+  ctx.save();
+  ctx.fillStyle = "rgba(15, 23, 42, 0.75)";
+  ctx.fillRect(12, top, 300, boxHeight);
+  ctx.font = "bold 16px sans-serif";
+  lines.forEach((line, i) => {
+    ctx.fillStyle = line.color;
+    ctx.fillText(line.text, 24, top + 24 + i * lineHeight);
+  });
+
+  ctx.fillStyle = "#ef4444";
+  ctx.beginPath();
+  ctx.arc(state.canvas.width - 24, 24, 8, 0, 2 * Math.PI);
+  ctx.fill();
+  ctx.restore();
+}
+
+// ============================================
+// POSE TRACES
+// ============================================
+
+function toggleTraceRecording() {
+  const btn = document.getElementById("btn-trace");
+
+  if (!state.trace.recording) {
+    state.trace = { recording: true, startedAt: new Date(), frames: [] };
+    btn.textContent = "Stop & Download Trace";
+    setStatus("Recording Pose Trace...", "#8b5cf6");
+    return;
+  }
+
+  state.trace.recording = false;
+  btn.textContent = "Record Trace";
+
+  if (!state.trace.frames.length) {
+    alert("No frames captured. Start the test while recording a trace.");
+    return;
+  }
+
+  const stamp = state.trace.startedAt.toISOString().replace(/[:.]/g, "-");
+  downloadJSON(`vbt-trace-${stamp}.json`, buildTrace({
+    frames: state.trace.frames,
+    startedAt: state.trace.startedAt,
+    source: state.video && state.video.srcObject ? "camera" : "upload",
+    config: state.engine.getConfig(),
+    setup: traceSetup(state.engine)
+  }));
+  setStatus(`Trace Saved (${state.trace.frames.length} frames)`, "#10b981");
+}
+
+async function handleTraceUpload(e) {
+  const file = e.target.files?.[0];
+  if (!file) return;
+  e.target.value = "";
+
+  let trace;
+  try {
+    trace = JSON.parse(await file.text());
+  } catch(err) {
+    alert("Could not read trace file: " + err.message);
+    return;
+  }
+
+  if (!isTrace(trace)) {
+    alert("Not a VBT pose trace.");
+    return;
+  }
+
+  runTraceReplay(trace);
+}
+
+function runTraceReplay(trace) {
+  if (state.trace.recording) toggleTraceRecording();
+
+  resetSession();
+  state.session.replay = true;
+  state.isTestRunning = false;
+  document.getElementById("btn-start-test").textContent = "Start Test";
+  document.getElementById("btn-reset").disabled = false;
+
+  // The trace brings its own bells and calibration; the UI's come back after
+  const setup = traceSetup(state.engine);
+  state.isReplaying = true;
+  try {
+    replayTrace(trace, state.engine, frame => {
+      state.lastPose = frame.pose;
+      if (state.snatchTest) updateSnatchTest(frame.timeMs);
+      if (state.workout) updateWorkout(frame.timeMs);
+    });
+  } finally {
+    state.isReplaying = false;
+    applyTraceSetup(state.engine, setup);
+  }
+  if (!document.getElementById("review-panel").hidden) renderReview();
+  if (!document.getElementById("lv-panel").hidden) renderLoadVelocity();
+
+  const sets = state.session.history;
+  const reps = sets.reduce((sum, set) => sum + REP_LISTS.reduce((n, list) => n + (set[list] || []).length, 0), 0);
+
+  if (CONFIG.DEBUG_MODE) {
+    console.log(`🎞️ Replayed ${trace.frames.length} frames`);
+    console.table(sets.map(set => ({ set: set.id, hand: set.hand, ...set.summary })));
+  }
+
+  setStatus(`Replay Complete — ${sets.length} sets, ${reps} reps`, "#10b981");
+}
+
+function downloadJSON(filename, data) {
+  downloadBlob(filename, new Blob([JSON.stringify(data)], { type: "application/json" }));
+}
+
+function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
 initializeApp();
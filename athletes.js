@@ -0,0 +1,116 @@
+/**
+ * VBT v3.5 - ATHLETE PROFILES
+ * DOM-free profile helpers; the profiles themselves live in IndexedDB
+ * (see storage.js).
+ *
+ * Profile: { id, name, height_cm, movement, baselines, press_mvt, created_at }
+ * - movement:  CONFIG.MOVEMENT overrides for this athlete only
+ * - press_mvt: minimal velocity threshold for the press 1RM estimate
+ *              (null for CONFIG.LV_MIN_VELOCITY)
+ * - baselines: best set-opening velocity per lift and load, keyed by
+ *              baselineKey(), e.g. "press:single:16" ->
+ *              { peak, mcv, date }
+ */
+
+import { CONFIG } from "./config.js";
+import { validateSettings } from "./settings.js";
+
+export function createAthlete(name) {
+  return {
+    id: `athlete-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name: name.trim(),
+    height_cm: null,
+    movement: {},
+    baselines: {},
+    press_mvt: null,
+    created_at: new Date().toISOString()
+  };
+}
+
+// Velocity depends on the load, so a best only compares within one bell
+// setup and weight ("any" when the weight wasn't entered)
+export function baselineKey(kind, bells, massKg) {
+  return `${kind}:${bells || "single"}:${massKg > 0 ? massKg : "any"}`;
+}
+
+// Overrides for the keys CONFIG.MOVEMENT knows, checked against the
+// settings panel's ranges: { values, errors }. A rack window bound is also
+// checked against the other bound in effect (`config` is what the overrides
+// go on top of).
+export function validateMovementOverrides(movement, config = CONFIG) {
+  const input = {};
+  Object.entries(movement || {}).forEach(([key, value]) => {
+    if (key in config.MOVEMENT) input[`MOVEMENT.${key}`] = value;
+  });
+
+  const checked = validateSettings(input);
+  const values = {};
+  const errors = {};
+  Object.entries(checked.values).forEach(([key, value]) => { values[key.replace("MOVEMENT.", "")] = value; });
+  Object.entries(checked.errors).forEach(([key, error]) => { errors[key.replace("MOVEMENT.", "")] = error; });
+
+  const rackTop = "CLEAN_RACK_HEIGHT_MIN" in values ? values.CLEAN_RACK_HEIGHT_MIN : config.MOVEMENT.CLEAN_RACK_HEIGHT_MIN;
+  const rackBottom = "CLEAN_RACK_HEIGHT_MAX" in values ? values.CLEAN_RACK_HEIGHT_MAX : config.MOVEMENT.CLEAN_RACK_HEIGHT_MAX;
+  if (rackTop >= rackBottom) {
+    if ("CLEAN_RACK_HEIGHT_MIN" in values) {
+      errors.CLEAN_RACK_HEIGHT_MIN = "above the rack window bottom";
+      delete values.CLEAN_RACK_HEIGHT_MIN;
+    } else {
+      errors.CLEAN_RACK_HEIGHT_MAX = "below the rack window top";
+      delete values.CLEAN_RACK_HEIGHT_MAX;
+    }
+  }
+
+  return { values, errors };
+}
+
+// Only the overrides that pass validateMovementOverrides()
+export function sanitizeMovementOverrides(movement, config = CONFIG) {
+  return validateMovementOverrides(movement, config).values;
+}
+
+// Mean of the set's first BASELINE_REPS well-tracked reps of each lift that
+// has a drop-off, the same window the engine's in-set baseline uses
+export function setBaselines(set, config = CONFIG) {
+  const found = {};
+
+  [["clean", set.cleans], ["press", set.presses], ["snatch", set.snatches], ["swing", set.swings]].forEach(([kind, reps]) => {
+    const opening = (reps || []).filter(r => !r.low_confidence).slice(0, config.BASELINE_REPS);
+    if (opening.length < config.BASELINE_REPS) return;
+
+    const mcvs = opening.map(r => r.mcv).filter(v => v !== null && v !== undefined);
+    found[baselineKey(kind, set.bells, opening[0].mass_kg)] = {
+      peak: mean(opening.map(r => r.velocity)),
+      mcv: mcvs.length === opening.length ? mean(mcvs) : null
+    };
+  });
+
+  return found;
+}
+
+// Keeps the best of each metric; returns true when anything improved
+export function recordBaselines(athlete, set, config = CONFIG) {
+  const date = set.startTime ? new Date(set.startTime).toISOString() : new Date().toISOString();
+  let improved = false;
+
+  Object.entries(setBaselines(set, config)).forEach(([key, found]) => {
+    const best = athlete.baselines[key] || { peak: null, mcv: null, date: null };
+    const next = { ...best };
+
+    ["peak", "mcv"].forEach(metric => {
+      if (found[metric] !== null && (best[metric] === null || found[metric] > best[metric])) {
+        next[metric] = found[metric];
+        next.date = date;
+        improved = true;
+      }
+    });
+
+    athlete.baselines[key] = next;
+  });
+
+  return improved;
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
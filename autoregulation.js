@@ -0,0 +1,79 @@
+/**
+ * VBT v3.5 - AUTOREGULATION
+ * DOM-free velocity-loss stopping rules. A set should stop once a lift's
+ * drop-off from its set baseline reaches that lift's cutoff
+ * (VELOCITY_LOSS_CUTOFF_CLEAN / _PRESS / _SNATCH / _SWING, 0 = off), or
+ * once it has SET_REP_TARGET reps (0 = no target), whichever comes first.
+ *
+ * The engine keeps the first signal of a set as `set.stop_signal`;
+ * summarizeAutoregulation() says whether the athlete stopped there or
+ * pushed past it, and how long to rest before the next set.
+ */
+
+import { CONFIG, REP_LISTS } from "./config.js";
+
+// Front squats have no drop-off, so only the rep target stops them
+const CUTOFF_KEYS = {
+  clean: "VELOCITY_LOSS_CUTOFF_CLEAN",
+  press: "VELOCITY_LOSS_CUTOFF_PRESS",
+  snatch: "VELOCITY_LOSS_CUTOFF_SNATCH",
+  swing: "VELOCITY_LOSS_CUTOFF_SWING"
+};
+
+const LIFT_LABELS = { clean: "Clean", press: "Press", snatch: "Snatch", swing: "Swing" };
+
+function setReps(set) {
+  return REP_LISTS.flatMap(list => set[list] || []);
+}
+
+export function lossCutoff(kind, config = CONFIG) {
+  return CUTOFF_KEYS[kind] ? config[CUTOFF_KEYS[kind]] : 0;
+}
+
+// { reason, kind, drop, cutoff, target, rep } when the rep just recorded
+// should end the set, null otherwise. `drop` is that rep's drop-off in %.
+export function stopSignalFor(set, kind, drop, config = CONFIG) {
+  const reps = setReps(set).length;
+  const cutoff = lossCutoff(kind, config);
+  const target = config.SET_REP_TARGET > 0 ? config.SET_REP_TARGET : null;
+
+  if (cutoff > 0 && drop !== null && drop >= cutoff) {
+    return { reason: "velocity_loss", kind, drop, cutoff, target, rep: reps };
+  }
+  if (target && reps >= target) {
+    return { reason: "rep_target", kind, drop, cutoff: cutoff > 0 ? cutoff : null, target, rep: reps };
+  }
+  return null;
+}
+
+// More velocity lost, more rest: REST_BASE_SEC plus REST_SEC_PER_LOSS_PCT
+// for every % lost, up to REST_MAX_SEC, in 5 s steps
+export function suggestRestSec(loss, config = CONFIG) {
+  const sec = config.REST_BASE_SEC + Math.max(0, loss || 0) * config.REST_SEC_PER_LOSS_PCT;
+  return Math.round(Math.min(config.REST_MAX_SEC, sec) / 5) * 5;
+}
+
+// `fatigue` is the set's summarizeFatigue(); the set's velocity loss is its
+// worst drop-off of any lift
+export function summarizeAutoregulation(set, fatigue, config = CONFIG) {
+  const losses = Object.keys(CUTOFF_KEYS)
+    .map(kind => (fatigue[kind] ? fatigue[kind].max_drop : null))
+    .filter(drop => drop !== null);
+  const loss = losses.length ? Math.max(...losses) : null;
+  const signal = set.stop_signal || null;
+  const past = signal ? setReps(set).filter(rep => rep.time_ms > signal.time_ms).length : 0;
+
+  return {
+    velocity_loss: loss,
+    stop_signal: signal,
+    outcome: !signal ? "not_reached" : past ? "pushed_past" : "stopped",
+    reps_past_signal: past,
+    suggested_rest_sec: suggestRestSec(loss, config)
+  };
+}
+
+export function formatStopSignal(signal) {
+  return signal.reason === "velocity_loss"
+    ? `${LIFT_LABELS[signal.kind]} velocity down ${signal.drop.toFixed(1)}% (cutoff ${signal.cutoff}%)`
+    : `${signal.target} reps done`;
+}
@@ -0,0 +1,148 @@
+/**
+ * VBT v3.5 - CALIBRATION
+ * DOM-free pixels-per-meter estimate, updated every frame so the scale
+ * follows the athlete when they move toward or away from the camera.
+ *
+ * Sources, best first:
+ * - "manual": athlete torso length (or height) entered by the user
+ * - "world":  MediaPipe worldLandmarks, already in meters
+ * - "default": CONFIG.TORSO_METERS
+ */
+
+import { CONFIG } from "./config.js";
+
+export function createCalibrator(config = CONFIG) {
+  const cal = {
+    reference: { heightM: null, torsoM: null },
+    samples: [],
+    source: null,
+    pxPerMeter: null,
+    torsoM: null,
+    confidence: 0,
+    visibility: 0
+  };
+
+  // torsoM wins over heightM; pass nulls to go back to automatic
+  function setReference({ heightM = null, torsoM = null } = {}) {
+    cal.reference = {
+      heightM: heightM > 0 ? heightM : null,
+      torsoM: torsoM > 0 ? torsoM : null
+    };
+    cal.samples = [];
+  }
+
+  function referenceTorsoM() {
+    if (cal.reference.torsoM) return cal.reference.torsoM;
+    if (cal.reference.heightM) return cal.reference.heightM * config.TORSO_HEIGHT_RATIO;
+    return null;
+  }
+
+  // Returns the current pixels-per-meter (null until the first usable frame)
+  function update(pose, world, width, height) {
+    const torso = measureTorso(pose, config);
+    if (!torso || torso.visibility < config.MIN_CALIBRATION_VISIBILITY) return cal.pxPerMeter;
+
+    const torsoPx = Math.hypot(torso.dx * width, torso.dy * height);
+    if (torsoPx < 20) return cal.pxPerMeter;
+
+    const manualM = referenceTorsoM();
+    const worldTorso = !manualM && world ? measureTorso(world, config) : null;
+
+    let source;
+    let torsoM;
+    if (manualM) {
+      source = "manual";
+      torsoM = manualM;
+    } else if (worldTorso) {
+      // World x/y are aligned with the image, so the projected lengths match
+      // even when the torso is leaning
+      source = "world";
+      torsoM = Math.hypot(worldTorso.dx, worldTorso.dy);
+    } else {
+      source = "default";
+      torsoM = config.TORSO_METERS;
+    }
+
+    // A fixed torso length only holds while standing tall (not mid-hinge)
+    if (source !== "world") {
+      const leanDeg = Math.atan2(Math.abs(torso.dx * width), Math.abs(torso.dy * height)) * 180 / Math.PI;
+      if (leanDeg > config.CALIBRATION_MAX_LEAN_DEG) return cal.pxPerMeter;
+    }
+
+    if (!(torsoM > 0)) return cal.pxPerMeter;
+
+    if (source !== cal.source) cal.samples = [];
+    cal.source = source;
+    cal.torsoM = torsoM;
+    cal.visibility = torso.visibility;
+
+    cal.samples.push(torsoPx / torsoM);
+    if (cal.samples.length > config.CALIBRATION_WINDOW) cal.samples.shift();
+
+    cal.pxPerMeter = median(cal.samples);
+    cal.confidence = computeConfidence();
+    return cal.pxPerMeter;
+  }
+
+  // Fills up with samples, drops with jitter between them, and is capped
+  // when the torso length is only assumed
+  function computeConfidence() {
+    const n = cal.samples.length;
+    const mean = cal.samples.reduce((a, b) => a + b, 0) / n;
+    const sd = Math.sqrt(cal.samples.reduce((sum, s) => sum + (s - mean) ** 2, 0) / n);
+    const cv = mean > 0 ? sd / mean : 1;
+
+    const fill = Math.min(1, n / config.CALIBRATION_WINDOW);
+    const stability = Math.max(0, 1 - cv / 0.15);
+    const sourceFactor = cal.source === "default" ? 0.6 : 1;
+
+    return fill * stability * cal.visibility * sourceFactor;
+  }
+
+  function snapshot() {
+    return {
+      source: cal.source,
+      px_per_meter: cal.pxPerMeter,
+      confidence: cal.confidence,
+      torso_m: cal.torsoM
+    };
+  }
+
+  function reset() {
+    cal.samples = [];
+    cal.source = null;
+    cal.pxPerMeter = null;
+    cal.torsoM = null;
+    cal.confidence = 0;
+    cal.visibility = 0;
+  }
+
+  return {
+    state: cal,
+    setReference,
+    update,
+    snapshot,
+    reset
+  };
+}
+
+// Shoulder midpoint to hip midpoint, in whatever units the landmarks use
+function measureTorso(landmarks, config) {
+  const points = [config.LEFT.SHOULDER, config.RIGHT.SHOULDER, config.LEFT.HIP, config.RIGHT.HIP].map(i => landmarks[i]);
+  if (points.some(p => !p)) return null;
+
+  const [ls, rs, lh, rh] = points;
+  const visible = points.map(p => (p.visibility === undefined ? 1 : p.visibility));
+
+  return {
+    dx: (ls.x + rs.x) / 2 - (lh.x + rh.x) / 2,
+    dy: (ls.y + rs.y) / 2 - (lh.y + rh.y) / 2,
+    visibility: visible.reduce((a, b) => a + b, 0) / visible.length
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
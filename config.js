@@ -0,0 +1,168 @@
+/**
+ * VBT v3.5 - CONFIG
+ * Shared by the detection engine and the UI
+ */
+
+export const CONFIG = {
+  LEFT: {
+    WRIST: 15,
+    SHOULDER: 11,
+    HIP: 23,
+    KNEE: 25
+  },
+  RIGHT: {
+    WRIST: 16,
+    SHOULDER: 12,
+    HIP: 24,
+    KNEE: 26
+  },
+  HEAD_LANDMARK: 0,
+  TORSO_METERS: 0.45,
+  // Shoulder-to-hip as a fraction of standing height
+  TORSO_HEIGHT_RATIO: 0.288,
+  CALIBRATION_WINDOW: 45,
+  CALIBRATION_MAX_LEAN_DEG: 15,
+  MIN_CALIBRATION_VISIBILITY: 0.5,
+
+  SMOOTHING_ALPHA: 0.15,
+  MAX_REALISTIC_VELOCITY: 8.0,
+  ZERO_BAND: 0.1,
+  MIN_DT: 0.016,
+  MAX_DT: 0.1,
+
+  LOCKOUT_VY_CUTOFF: 0.6,
+  LOCKOUT_SPEED_CUTOFF: 2.0,
+  // Downward speed that starts a rep's eccentric return after lockout, and
+  // the one below which it has ended
+  ECCENTRIC_START_VY: 0.4,
+  ECCENTRIC_END_VY: 0.1,
+
+  RESET_GRACE_MS_AFTER_LOCK: 5000,
+  HIKE_VY_THRESHOLD: 0.3,
+  HIKE_SPEED_THRESHOLD: 0.5,
+
+  HAND_SWITCH_MEET_M: 0.15,
+  HAND_SWITCH_WINDOW_MS: 300,
+  HAND_SWITCH_MIN_SPEED: 0.5,
+  HAND_SWITCH_SPEED_RATIO: 1.3,
+
+  BASELINE_REPS: 3,
+  DROP_WARN: 15,
+  DROP_FAIL: 20,
+  DROP_METRIC: "peak", // "peak" or "mcv"
+  REP_CURVE_MAX_SAMPLES: 300,
+
+  // Autoregulation: stop the set at this drop-off (%) per lift or at this
+  // many reps (0 = off), then rest REST_BASE_SEC + REST_SEC_PER_LOSS_PCT per
+  // % of velocity lost, up to REST_MAX_SEC
+  VELOCITY_LOSS_CUTOFF_CLEAN: 20,
+  VELOCITY_LOSS_CUTOFF_PRESS: 20,
+  VELOCITY_LOSS_CUTOFF_SNATCH: 20,
+  VELOCITY_LOSS_CUTOFF_SWING: 20,
+  SET_REP_TARGET: 0,
+  REST_BASE_SEC: 60,
+  REST_SEC_PER_LOSS_PCT: 6,
+  REST_MAX_SEC: 300,
+
+  // Press load-velocity profile: velocity used ("mcv" or "peak") and the
+  // default minimal velocity threshold the estimated 1RM is read at
+  LV_METRIC: "mcv",
+  LV_MIN_VELOCITY: 0.2,
+
+  ANALYSIS_FPS: 30,
+  SEEK_TIMEOUT_MS: 5000, // a file seek taking longer stops the analysis
+
+  // Rep timeline: chart window around the playhead, longest gap drawn as one
+  // line, and how far before a rep's concentric a click seeks to
+  TIMELINE_WINDOW_MS: 8000,
+  TIMELINE_MAX_GAP_MS: 250,
+  TIMELINE_SEEK_LEAD_MS: 500,
+
+  VIDEO_EXPORT_FPS: 30,
+  VIDEO_EXPORT_BITRATE: 5000000,
+
+  MIN_DET_CONF: 0.5,
+  MIN_TRACK_CONF: 0.5,
+
+  // Landmarks below this visibility/presence are ignored; gaps up to
+  // LANDMARK_MAX_GAP_MS are bridged by extrapolation (about 3 frames at 30 fps)
+  MIN_LANDMARK_VISIBILITY: 0.5,
+  LANDMARK_MAX_GAP_MS: 100,
+  LOW_CONFIDENCE_TRACKING: 0.8,
+
+  MOVEMENT: {
+    SNATCH_MIN_HEIGHT_ABOVE_SHOULDER: 0.05,
+    CLEAN_RACK_HEIGHT_MIN: -0.1,
+    CLEAN_RACK_HEIGHT_MAX: 0.15,
+    CLEAN_HORIZONTAL_PROXIMITY: 0.18,
+    SWING_MAX_HEIGHT_ABOVE_SHOULDER: 0.05,
+    SWING_MIN_HEIGHT_ABOVE_HIP: 0.1,
+    PRESS_VELOCITY_THRESHOLD: 3.5,
+    // Double front squat hip drop, as a fraction of torso length
+    FRONT_SQUAT_START_DROP: 0.1,
+    FRONT_SQUAT_MIN_DEPTH: 0.5
+  },
+
+  // Prompted reps per movement in the threshold wizard
+  THRESHOLD_WIZARD_REPS: 3,
+
+  SNATCH_TESTS: [
+    { id: "100_IN_5", label: "100 Snatches in 5:00", durationSec: 300, targetReps: 100, minPerHand: 40 },
+    { id: "10_MIN_MAX", label: "10-Minute Max", durationSec: 600, targetReps: null, minPerHand: 0 }
+  ],
+
+  PROGRAM_TIMING_TOLERANCE_SEC: 5,
+  WORKOUT_PROGRAMS: [
+    {
+      id: "TEMPERED_1C3P",
+      name: "Tempered: 1 Clean + 3 Presses",
+      blocks: [
+        { complex: { clean: 1, press: 3 }, hand: "alternate", workSec: 30, restSec: 30, rounds: 10 }
+      ]
+    },
+    {
+      id: "EMOM_SWINGS",
+      name: "EMOM 10 × 10 Swings",
+      blocks: [
+        { movement: "swing", reps: 10, hand: "any", workSec: 60, restSec: 0, rounds: 10 }
+      ]
+    },
+    {
+      id: "PRESS_LADDER",
+      name: "Press Ladder 1-2-3-4-5",
+      blocks: [
+        { movement: "press", reps: [1, 2, 3, 4, 5], hand: "alternate", workSec: 30, restSec: 30 }
+      ]
+    }
+  ],
+
+  ATHLETE_ID: "dad_ready_user",
+
+  OUTBOX_RETRY_BASE_MS: 5000,
+  OUTBOX_RETRY_MAX_MS: 300000,
+  OUTBOX_MAX_ATTEMPTS: 10,
+  OUTBOX_POLL_MS: 15000,
+
+  // Defaults until destinations are edited in the app (then kept in localStorage)
+  EXPORT_DESTINATIONS: [
+    { id: "make", type: "webhook", name: "Make.com", enabled: true, url: "https://hook.us2.make.com/0l88dnosrk2t8a29yfk83fej8hp8j3jk" },
+    { id: "json", type: "json", name: "JSON download", enabled: false },
+    { id: "csv", type: "csv", name: "Rep CSV download", enabled: false }
+  ],
+
+  DEBUG_MODE: true
+};
+
+// The set's rep lists, one per movement; every module that walks a set's
+// reps uses this one
+export const REP_LISTS = ["cleans", "presses", "snatches", "swings", "squats"];
+
+// Overrides layered over a base config, later layers winning; MOVEMENT
+// merges key by key so a layer can change a single threshold
+export function mergeConfig(base, ...layers) {
+  return layers.reduce((merged, layer) => (layer ? {
+    ...merged,
+    ...layer,
+    MOVEMENT: { ...merged.MOVEMENT, ...(layer.MOVEMENT || {}) }
+  } : merged), base);
+}
@@ -0,0 +1,88 @@
+/**
+ * VBT v3.5 - DENSITY
+ * DOM-free tempo, rest and work:rest figures. Set and rep times come from
+ * the engine clock (`lockedAtMs`, `endedAtMs`, rep `time_ms`), so uploaded
+ * files are timed in video time rather than analysis time.
+ *
+ * Sets recorded by different engine runs (a reload, a reopened session)
+ * don't share a clock (`set.clock`); rest between them falls back to the
+ * wall-clock `startTime`/`endTime`.
+ */
+
+import { REP_LISTS } from "./config.js";
+
+// Reps with a time, in the order they happened
+function timedReps(set) {
+  return REP_LISTS
+    .flatMap(list => set[list] || [])
+    .filter(rep => rep.time_ms !== null && rep.time_ms !== undefined)
+    .sort((a, b) => a.time_ms - b.time_ms);
+}
+
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+export function setDurationMs(set, nowMs = set.endedAtMs) {
+  if (nowMs === null || nowMs === undefined || set.lockedAtMs === undefined) return null;
+  return Math.max(0, nowMs - set.lockedAtMs);
+}
+
+// Lockout-to-lockout intervals, rate over the whole set, time under tension.
+// `nowMs` gives the figures for a set that is still running.
+export function summarizeTempo(set, nowMs = set.endedAtMs) {
+  const reps = timedReps(set);
+  const intervals = reps.slice(1).map((rep, i) => Math.round(rep.time_ms - reps[i].time_ms));
+  const durationMs = setDurationMs(set, nowMs);
+  const count = REP_LISTS.reduce((sum, list) => sum + (set[list] || []).length, 0);
+
+  const tut = reps.map(rep => rep.tut_ms).filter(ms => ms > 0);
+  const eccentric = reps.map(rep => rep.eccentric_ms).filter(ms => ms !== null && ms !== undefined);
+
+  return {
+    duration_ms: durationMs === null ? null : Math.round(durationMs),
+    rep_intervals_ms: intervals,
+    mean_interval_ms: mean(intervals),
+    reps_per_min: durationMs > 0 ? count / (durationMs / 60000) : null,
+    total_tut_ms: tut.length ? tut.reduce((a, b) => a + b, 0) : null,
+    mean_tut_ms: mean(tut),
+    mean_eccentric_ms: mean(eccentric)
+  };
+}
+
+// Rest from the end of one set to the start of the next, null when unknown
+export function restBetween(prev, next) {
+  const sameClock = prev.clock && prev.clock === next.clock;
+  if (sameClock && prev.endedAtMs !== undefined && next.lockedAtMs !== undefined) {
+    return Math.max(0, next.lockedAtMs - prev.endedAtMs);
+  }
+
+  const ended = prev.endTime ? new Date(prev.endTime).getTime() : NaN;
+  const started = next.startTime ? new Date(next.startTime).getTime() : NaN;
+  return Number.isFinite(ended) && Number.isFinite(started) ? Math.max(0, started - ended) : null;
+}
+
+// Work is time inside sets, rest is time between them. `rests_ms[i]` is
+// the rest before set i (null for the first).
+export function summarizeSession(sets) {
+  const rests = sets.map((set, i) => (i ? restBetween(sets[i - 1], set) : null));
+  const work = sets.map(set => setDurationMs(set)).filter(ms => ms !== null);
+  const knownRests = rests.filter(ms => ms !== null);
+
+  const workMs = work.reduce((a, b) => a + b, 0);
+  const restMs = knownRests.reduce((a, b) => a + b, 0);
+  const reps = sets.reduce((sum, set) => sum + REP_LISTS.reduce((n, list) => n + (set[list] || []).length, 0), 0);
+
+  return {
+    work_ms: Math.round(workMs),
+    rest_ms: Math.round(restMs),
+    rests_ms: rests.map(ms => (ms === null ? null : Math.round(ms))),
+    work_rest_ratio: restMs > 0 ? workMs / restMs : null,
+    reps_per_min: workMs + restMs > 0 ? reps / ((workMs + restMs) / 60000) : null
+  };
+}
+
+// "1:1.5" style, rest per unit of work
+export function formatWorkRest(ratio) {
+  return ratio ? `1:${(1 / ratio).toFixed(1)}` : "--";
+}
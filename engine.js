@@ -0,0 +1,1397 @@
+/**
+ * VBT v3.5 - REP DETECTION ENGINE
+ * DOM-free: feed it pose frames, subscribe to the events it emits.
+ *
+ *   const engine = createRepEngine();
+ *   engine.on("repRecorded", ({ kind, rep }) => ...);
+ *   engine.processFrame({ pose, timeMs, width, height });
+ *
+ * For uploaded files, `videoTimeMs` (the video's currentTime) can be passed
+ * too; reps and velocity updates then carry it so they can be found in the video.
+ *
+ * Events: setStarted, phaseChanged, velocityUpdated, repRecorded,
+ * repCompleted, fatigueUpdated, stopSignal, handSwitched, setEnded
+ *
+ * Bell configuration is "single" (one wrist, locked at set start but handed
+ * over when the athlete switches hands) or "double" (both wrists tracked,
+ * zones and velocity taken from both arms).
+ */
+
+import { CONFIG, REP_LISTS, mergeConfig } from "./config.js";
+import { baselineKey } from "./athletes.js";
+import { createCalibrator } from "./calibration.js";
+import { createLandmarkFilter, isLandmarkUsable, isLandmarkObserved } from "./landmarks.js";
+import { summarizeTempo } from "./density.js";
+import { stopSignalFor, summarizeAutoregulation } from "./autoregulation.js";
+
+// ============================================
+// ENGINE
+// ============================================
+
+// CONFIG values the calibrator reads
+const CALIBRATION_KEYS = ["TORSO_METERS", "TORSO_HEIGHT_RATIO", "MIN_CALIBRATION_VISIBILITY", "CALIBRATION_MAX_LEAN_DEG", "CALIBRATION_WINDOW"];
+
+export function createRepEngine(config = CONFIG) {
+  const baseConfig = config;
+  const listeners = {};
+  let calibrator = createCalibrator(config);
+  let landmarkFilter = createLandmarkFilter(config);
+
+  const state = {
+    bellConfig: "single",
+    bellWeights: { left: null, right: null },
+    testStage: "IDLE",
+    timeMs: 0,
+    videoTimeMs: null,
+    clock: createClockId(),
+    frameWidth: 0,
+    frameHeight: 0,
+
+    activeTrackingSide: "left",
+    lockedSide: "unknown",
+    lockedAtMs: 0,
+
+    prevWrist: null,
+    pxPerMeter: null,
+    calibration: calibrator.snapshot(),
+    smoothedVelocity: 0,
+    smoothedVy: 0,
+    lastSpeed: 0,
+    lastVy: 0,
+    rawSpeed: 0,
+    rawVy: 0,
+
+    arms: {
+      left: createArmKinematics(),
+      right: createArmKinematics()
+    },
+    armPeaks: { left: 0, right: 0 },
+    handSwitch: createHandSwitchState(),
+    rackHipY: null,
+    rackTorso: 0,
+    squatDepth: 0,
+
+    phase: "IDLE",
+    currentRepPeak: 0,
+    overheadHoldCount: 0,
+
+    repStartedFrom: null,
+    repStartY: 1.0,
+    currentRepPeakWristY: 1.0,
+    currentRepPeakWristX: 0.5,
+    repSamples: [],
+    repMissedFrames: 0,
+    trackingObserved: true,
+    eccentric: null,
+
+    cleanHistory: [],
+    pressHistory: [],
+    snatchHistory: [],
+    swingHistory: [],
+    cleanBaseline: 0,
+    pressBaseline: 0,
+    snatchBaseline: 0,
+    swingBaseline: 0,
+    athleteBaselines: {},
+
+    endingConfirmCount: 0,
+
+    currentSet: null,
+    setCount: 0
+  };
+
+  // ============================================
+  // EVENTS
+  // ============================================
+
+  function on(type, fn) {
+    (listeners[type] = listeners[type] || []).push(fn);
+    return () => off(type, fn);
+  }
+
+  function off(type, fn) {
+    if (!listeners[type]) return;
+    listeners[type] = listeners[type].filter(l => l !== fn);
+  }
+
+  function emit(type, detail) {
+    (listeners[type] || []).forEach(fn => fn(detail));
+  }
+
+  function setPhase(phase) {
+    if (state.phase === phase) return;
+    const previous = state.phase;
+    state.phase = phase;
+    emit("phaseChanged", { phase, previous, from: state.repStartedFrom, timeMs: state.timeMs });
+  }
+
+  // ============================================
+  // FRAME PIPELINE
+  // ============================================
+
+  function processFrame(frame) {
+    state.timeMs = frame.timeMs;
+    state.videoTimeMs = frame.videoTimeMs !== undefined ? frame.videoTimeMs : null;
+    state.frameWidth = frame.width;
+    state.frameHeight = frame.height;
+
+    // Low-confidence landmarks are null from here on, short gaps are bridged
+    const pose = landmarkFilter.process(frame.pose, frame.timeMs);
+
+    // `world` is the optional worldLandmarks array for the same frame
+    state.pxPerMeter = calibrator.update(pose, frame.world || null, frame.width, frame.height);
+    state.calibration = calibrator.snapshot();
+
+    runPhysics(pose, frame.timeMs);
+
+    if (state.testStage === "IDLE") {
+      checkStartCondition(pose, frame.timeMs);
+    }
+
+    if (state.testStage === "RUNNING") {
+      if (state.lockedSide !== "both") checkHandSwitch(pose, frame.timeMs);
+      runMovementLogic(pose);
+      checkEndCondition(pose, frame.timeMs);
+    }
+  }
+
+  // ============================================
+  // START/END CONDITIONS
+  // ============================================
+
+  function checkStartCondition(pose, timeMs) {
+    if (state.testStage !== "IDLE") return;
+
+    if (state.bellConfig === "double") {
+      checkDoubleStartCondition(pose);
+      return;
+    }
+
+    const lWrist = pose[config.LEFT.WRIST];
+    const rWrist = pose[config.RIGHT.WRIST];
+    if (!lWrist || !rWrist) return;
+
+    const lY = lWrist.y;
+    const rY = rWrist.y;
+    const activeSide = lY > rY ? "left" : "right";
+
+    state.activeTrackingSide = activeSide;
+
+    const inZone = isSideObserved(pose, activeSide) && isWristInFloorZone(pose, activeSide, config);
+    const hikingDown = state.lastVy > 0.3 && state.lastSpeed > 0.5;
+
+    if (config.DEBUG_MODE && inZone) {
+      console.log(`[START] Side:${activeSide} | Zone:${inZone} | Hike:${hikingDown} | Vy:${state.lastVy.toFixed(2)}`);
+    }
+
+    if (inZone && hikingDown) {
+      console.log(`🚀 STARTING SET: ${activeSide}`);
+      startNewSet(activeSide);
+    }
+  }
+
+  // Both bells parked below the knees, hiked together
+  function checkDoubleStartCondition(pose) {
+    const inZone = ["left", "right"].every(side => isSideObserved(pose, side) && isWristInFloorZone(pose, side, config));
+    const hikingDown = state.lastVy > 0.3 && state.lastSpeed > 0.5;
+
+    if (config.DEBUG_MODE && inZone) {
+      console.log(`[START] Double | Hike:${hikingDown} | Vy:${state.lastVy.toFixed(2)}`);
+    }
+
+    if (inZone && hikingDown) {
+      console.log("🚀 STARTING SET: double");
+      startNewSet("both");
+    }
+  }
+
+  function checkEndCondition(pose, timeMs) {
+    if (state.testStage !== "RUNNING") return;
+    if (!state.currentSet) return;
+
+    const grace = timeMs - state.currentSet.lockedAtMs;
+
+    const INITIAL_GRACE_MS = 5000;
+    const totalReps = (state.cleanHistory.length || 0) + (state.pressHistory.length || 0);
+    if (grace < INITIAL_GRACE_MS && totalReps === 0) {
+      return;
+    }
+
+    if (grace < config.RESET_GRACE_MS_AFTER_LOCK) return;
+
+    if (state.phase === "CONCENTRIC") return;
+
+    // Guessed (bridged) positions never end a set
+    const sides = trackedSides();
+    if (!sides.every(side => isSideObserved(pose, side))) return;
+
+    const inZone = sides.every(side => isWristInFloorZone(pose, side, config));
+    const standingUp = state.lastVy < -0.3 && state.lastSpeed > 0.5;
+
+    if (inZone && standingUp) {
+      state.endingConfirmCount++;
+
+      if (state.endingConfirmCount >= 2) {
+        console.log(`🛑 ENDING SET (${state.cleanHistory.length} cleans, ${state.pressHistory.length} presses)`);
+        state.endingConfirmCount = 0;
+        endCurrentSet();
+      }
+    } else {
+      state.endingConfirmCount = 0;
+    }
+  }
+
+  function trackedSides() {
+    return state.lockedSide === "both" ? ["left", "right"] : [state.lockedSide];
+  }
+
+  function isSideObserved(pose, side, names = ["WRIST", "KNEE"]) {
+    const idx = side === "left" ? config.LEFT : config.RIGHT;
+    return names.every(name => isLandmarkObserved(pose[idx[name]], config));
+  }
+
+  // ============================================
+  // HAND SWITCHES
+  // ============================================
+
+  // Hands meet (hand-to-hand swing, over-the-top switch) and then separate.
+  // Whichever wrist moves faster right after separating carries the bell.
+  function checkHandSwitch(pose, timeMs) {
+    const lWrist = pose[config.LEFT.WRIST];
+    const rWrist = pose[config.RIGHT.WRIST];
+    if (!lWrist || !rWrist || !state.pxPerMeter) return;
+
+    const gapPx = Math.hypot((lWrist.x - rWrist.x) * state.frameWidth, (lWrist.y - rWrist.y) * state.frameHeight);
+    const gapM = gapPx / state.pxPerMeter;
+    const sw = state.handSwitch;
+
+    if (gapM < config.HAND_SWITCH_MEET_M) {
+      state.handSwitch = { ...createHandSwitchState(), together: true };
+      return;
+    }
+
+    if (!sw.together) return;
+
+    if (sw.separatedAtMs === null) sw.separatedAtMs = timeMs;
+    sw.speed.left += state.arms.left.lastSpeed;
+    sw.speed.right += state.arms.right.lastSpeed;
+    sw.frames++;
+
+    if (timeMs - sw.separatedAtMs < config.HAND_SWITCH_WINDOW_MS) return;
+
+    const other = state.lockedSide === "left" ? "right" : "left";
+    const otherSpeed = sw.speed[other] / sw.frames;
+    const lockedSpeed = sw.speed[state.lockedSide] / sw.frames;
+    state.handSwitch = createHandSwitchState();
+
+    if (otherSpeed >= config.HAND_SWITCH_MIN_SPEED && otherSpeed > lockedSpeed * config.HAND_SWITCH_SPEED_RATIO) {
+      switchHand(other);
+    }
+  }
+
+  // The new hand's kinematics have been tracked all along, so the state
+  // machine carries on from them without a velocity jump
+  function switchHand(side) {
+    const from = state.lockedSide;
+    const arm = state.arms[side];
+
+    state.lockedSide = side;
+    state.prevWrist = arm.prevWrist ? { ...arm.prevWrist } : null;
+    state.smoothedVelocity = arm.smoothedVelocity;
+    state.smoothedVy = arm.smoothedVy;
+    state.lastSpeed = arm.lastSpeed;
+    state.lastVy = arm.lastVy;
+    state.overheadHoldCount = 0;
+    state.endingConfirmCount = 0;
+
+    const handSwitch = { from, to: side, timeMs: state.timeMs };
+    if (state.currentSet) state.currentSet.switches.push(handSwitch);
+
+    if (config.DEBUG_MODE) console.log(`🔀 HAND SWITCH: ${from} → ${side}`);
+
+    emit("handSwitched", { ...handSwitch, set: state.currentSet });
+  }
+
+  // ============================================
+  // SET MANAGEMENT
+  // ============================================
+
+  function startNewSet(side) {
+    state.lockedSide = side;
+    state.testStage = "RUNNING";
+    state.lockedAtMs = state.timeMs;
+
+    state.cleanHistory = [];
+    state.pressHistory = [];
+    state.snatchHistory = [];
+    state.swingHistory = [];
+    state.cleanBaseline = 0;
+    state.pressBaseline = 0;
+    state.snatchBaseline = 0;
+    state.swingBaseline = 0;
+    state.currentRepPeak = 0;
+    state.overheadHoldCount = 0;
+    state.endingConfirmCount = 0;
+
+    state.repStartedFrom = null;
+    state.repSamples = [];
+    state.rackHipY = null;
+    state.handSwitch = createHandSwitchState();
+    state.eccentric = null;
+    setPhase("IDLE");
+
+    state.currentSet = {
+      id: ++state.setCount,
+      hand: side,
+      bells: state.bellConfig,
+      cleans: [],
+      presses: [],
+      snatches: [],
+      swings: [],
+      squats: [],
+      switches: [],
+      bell_kg: { ...state.bellWeights },
+      startTime: new Date(),
+      lockedAtMs: state.timeMs,
+      clock: state.clock
+    };
+
+    if (config.DEBUG_MODE) console.log(`🚀 Set Started [${side}]`);
+
+    emit("setStarted", { set: state.currentSet, side, timeMs: state.timeMs });
+  }
+
+  function endCurrentSet() {
+    const set = state.currentSet;
+    finishEccentric();
+
+    if (set) {
+      set.endTime = new Date();
+      set.endedAtMs = state.timeMs;
+      set.calibration = { ...state.calibration };
+      set.summary = summarizeSet(set, config);
+    }
+
+    state.testStage = "IDLE";
+    state.lockedSide = "unknown";
+    state.currentSet = null;
+    state.activeTrackingSide = "left";
+
+    if (set) emit("setEnded", { set, timeMs: state.timeMs });
+  }
+
+  function endSet() {
+    if (state.testStage === "RUNNING") endCurrentSet();
+  }
+
+  // { heightM } or { torsoM } in meters; nulls go back to automatic
+  function setCalibrationReference(reference) {
+    calibrator.setReference(reference);
+  }
+
+  function getCalibrationReference() {
+    return { ...calibrator.state.reference };
+  }
+
+  // Override layers on top of the config the engine was created with (e.g.
+  // settings, then an athlete's MOVEMENT thresholds); configure() alone goes
+  // back to it
+  function configure(...layers) {
+    const previous = config;
+    config = mergeConfig(baseConfig, ...layers);
+
+    if (config.MIN_LANDMARK_VISIBILITY !== previous.MIN_LANDMARK_VISIBILITY ||
+        config.LANDMARK_MAX_GAP_MS !== previous.LANDMARK_MAX_GAP_MS) {
+      landmarkFilter = createLandmarkFilter(config);
+    }
+
+    // A new calibrator starts its samples over but keeps the reference
+    if (CALIBRATION_KEYS.some(key => config[key] !== previous[key])) {
+      const reference = calibrator.state.reference;
+      calibrator = createCalibrator(config);
+      calibrator.setReference(reference);
+      state.calibration = calibrator.snapshot();
+    }
+  }
+
+  function getConfig() {
+    return config;
+  }
+
+  // Historical bests from the athlete profile, keyed by baselineKey()
+  function setAthleteBaselines(baselines) {
+    state.athleteBaselines = baselines || {};
+  }
+
+  // Only switchable between sets; returns false while a set is running
+  function setBellConfig(bellConfig) {
+    if (state.testStage === "RUNNING") return false;
+
+    state.bellConfig = bellConfig === "double" ? "double" : "single";
+    resetKinematics();
+    return true;
+  }
+
+  // Weights in kg per hand (null when unknown). Applies to the open set too,
+  // so a weight entered just after the set started still counts.
+  function setBellWeights(weights) {
+    state.bellWeights = {
+      left: weights.left > 0 ? weights.left : null,
+      right: weights.right > 0 ? weights.right : null
+    };
+    if (state.currentSet) state.currentSet.bell_kg = { ...state.bellWeights };
+  }
+
+  function resetKinematics() {
+    state.smoothedVelocity = 0;
+    state.smoothedVy = 0;
+    state.lastSpeed = 0;
+    state.lastVy = 0;
+    state.rawSpeed = 0;
+    state.rawVy = 0;
+    state.prevWrist = null;
+    state.arms = { left: createArmKinematics(), right: createArmKinematics() };
+  }
+
+  function reset() {
+    state.testStage = "IDLE";
+    state.lockedSide = "unknown";
+    state.activeTrackingSide = "left";
+    resetKinematics();
+    calibrator.reset();
+    state.pxPerMeter = null;
+    state.calibration = calibrator.snapshot();
+    state.phase = "IDLE";
+    state.currentRepPeak = 0;
+    state.overheadHoldCount = 0;
+    state.currentRepPeakWristY = 1.0;
+    state.currentRepPeakWristX = 0.5;
+    state.endingConfirmCount = 0;
+    state.repStartedFrom = null;
+    state.repSamples = [];
+    state.repMissedFrames = 0;
+    landmarkFilter.reset();
+    state.armPeaks = { left: 0, right: 0 };
+    state.handSwitch = createHandSwitchState();
+    state.rackHipY = null;
+    state.rackTorso = 0;
+    state.squatDepth = 0;
+    state.cleanHistory = [];
+    state.pressHistory = [];
+    state.snatchHistory = [];
+    state.swingHistory = [];
+    state.cleanBaseline = 0;
+    state.pressBaseline = 0;
+    state.snatchBaseline = 0;
+    state.swingBaseline = 0;
+    state.currentSet = null;
+    state.setCount = 0;
+    state.eccentric = null;
+    state.clock = createClockId();
+  }
+
+  // ============================================
+  // PHYSICS ENGINE
+  // ============================================
+
+  function runPhysics(pose, timeMs) {
+    if (state.bellConfig === "double") {
+      runDoublePhysics(pose, timeMs);
+      return;
+    }
+
+    const side = state.testStage === "IDLE" ? state.activeTrackingSide : state.lockedSide;
+    if (!side || side === "unknown") return;
+
+    const idx = side === "left" ? config.LEFT : config.RIGHT;
+    const wrist = pose[idx.WRIST];
+    if (!wrist || !state.pxPerMeter) return;
+
+    // Both arms are followed during a set so a hand switch can be picked up
+    if (state.testStage === "RUNNING") {
+      if (pose[config.LEFT.WRIST]) updateKinematics(state.arms.left, pose[config.LEFT.WRIST], timeMs);
+      if (pose[config.RIGHT.WRIST]) updateKinematics(state.arms.right, pose[config.RIGHT.WRIST], timeMs);
+    }
+
+    if (!updateKinematics(state, wrist, timeMs)) return;
+
+    if (state.testStage === "RUNNING") {
+      emit("velocityUpdated", { speed: state.lastSpeed, vy: state.lastVy, timeMs, videoTimeMs: state.videoTimeMs });
+    }
+  }
+
+  // Each arm gets its own kinematics; the combined values the state machine
+  // reads are the mean of the two.
+  function runDoublePhysics(pose, timeMs) {
+    const lWrist = pose[config.LEFT.WRIST];
+    const rWrist = pose[config.RIGHT.WRIST];
+    if (!lWrist || !rWrist || !state.pxPerMeter) return;
+
+    const lUpdated = updateKinematics(state.arms.left, lWrist, timeMs);
+    const rUpdated = updateKinematics(state.arms.right, rWrist, timeMs);
+    if (!lUpdated || !rUpdated) return;
+
+    const { left, right } = state.arms;
+    state.smoothedVelocity = (left.smoothedVelocity + right.smoothedVelocity) / 2;
+    state.smoothedVy = (left.smoothedVy + right.smoothedVy) / 2;
+    state.lastSpeed = (left.lastSpeed + right.lastSpeed) / 2;
+    state.lastVy = (left.lastVy + right.lastVy) / 2;
+    state.rawSpeed = (left.rawSpeed + right.rawSpeed) / 2;
+    state.rawVy = (left.rawVy + right.rawVy) / 2;
+
+    if (state.testStage === "RUNNING") {
+      emit("velocityUpdated", {
+        speed: state.lastSpeed,
+        vy: state.lastVy,
+        arms: { left: left.lastSpeed, right: right.lastSpeed },
+        timeMs,
+        videoTimeMs: state.videoTimeMs
+      });
+    }
+  }
+
+  // Updates smoothed speed/vy on `k` (the engine state itself, or one arm).
+  // Returns false when the frame only re-seeded the previous position.
+  function updateKinematics(k, wrist, timeMs) {
+    if (!k.prevWrist) {
+      k.prevWrist = { x: wrist.x, y: wrist.y, t: timeMs };
+      return false;
+    }
+
+    const dt = (timeMs - k.prevWrist.t) / 1000;
+    if (dt < config.MIN_DT || dt > config.MAX_DT) {
+      k.prevWrist = { x: wrist.x, y: wrist.y, t: timeMs };
+      return false;
+    }
+
+    const dxPx = (wrist.x - k.prevWrist.x) * state.frameWidth;
+    const dyPx = (wrist.y - k.prevWrist.y) * state.frameHeight;
+
+    let vx = (dxPx / state.pxPerMeter) / dt;
+    let vy = (dyPx / state.pxPerMeter) / dt;
+    let speed = Math.hypot(vx, vy);
+
+    const TARGET_FPS = 30;
+    const frameTimeMs = 1000 / TARGET_FPS;
+    const actualFrameTimeMs = timeMs - k.prevWrist.t;
+    const timeRatio = frameTimeMs / actualFrameTimeMs;
+    vx *= timeRatio;
+    vy *= timeRatio;
+    speed = Math.hypot(vx, vy);
+
+    if (speed < config.ZERO_BAND) speed = 0;
+
+    k.rawSpeed = Math.min(speed, config.MAX_REALISTIC_VELOCITY);
+    k.rawVy = vy;
+
+    k.smoothedVelocity = config.SMOOTHING_ALPHA * speed + (1 - config.SMOOTHING_ALPHA) * k.smoothedVelocity;
+    k.smoothedVy = config.SMOOTHING_ALPHA * vy + (1 - config.SMOOTHING_ALPHA) * k.smoothedVy;
+
+    k.lastSpeed = Math.min(k.smoothedVelocity, config.MAX_REALISTIC_VELOCITY);
+    k.lastVy = Math.min(Math.max(k.smoothedVy, -config.MAX_REALISTIC_VELOCITY), config.MAX_REALISTIC_VELOCITY);
+
+    k.prevWrist = { x: wrist.x, y: wrist.y, t: timeMs };
+    return true;
+  }
+
+  // ============================================
+  // MOVEMENT DETECTION LOGIC
+  // ============================================
+
+  function runMovementLogic(pose) {
+    const v = state.smoothedVelocity;
+    const vy = state.smoothedVy;
+    const isDouble = state.lockedSide === "both";
+    const points = getTrackedPoints(pose);
+
+    if (!points) {
+      if (REP_PHASES.includes(state.phase)) state.repMissedFrames++;
+      return;
+    }
+    const { wrist, hip, shoulder } = points;
+
+    state.trackingObserved = trackedSides().every(side => isSideObserved(pose, side, ["WRIST", "SHOULDER", "HIP"]));
+    trackEccentric(vy);
+
+    const zone = isDouble ? getDoubleZone(pose, config) : getWristZone(pose, state.lockedSide, config);
+
+    if (REP_PHASES.includes(state.phase)) captureRepSample(wrist);
+
+    // PHASE: IDLE/LOCKOUT - Waiting for next movement
+    if (state.phase === "IDLE" || state.phase === "LOCKOUT") {
+
+      if (zone !== 'RACK') state.rackHipY = null;
+
+      if (zone === 'FLOOR') {
+        state.repStartedFrom = "FLOOR";
+        state.overheadHoldCount = 0;
+        resetRepPeaks();
+        state.currentRepPeakWristY = 1.0;
+        state.currentRepPeakWristX = wrist.x;
+        state.repStartY = wrist.y;
+        beginRepCapture(wrist);
+        setPhase("BOTTOM");
+        if (config.DEBUG_MODE) console.log("Phase: BOTTOM (from FLOOR)");
+      }
+
+      else if (zone === 'BACKSWING') {
+        state.repStartedFrom = "RACK";
+        state.overheadHoldCount = 0;
+        resetRepPeaks();
+        state.currentRepPeakWristY = 1.0;
+        state.currentRepPeakWristX = wrist.x;
+        beginRepCapture(wrist);
+        setPhase("BOTTOM");
+
+        if (config.DEBUG_MODE) console.log("Phase: BOTTOM (from RACK)");
+      }
+
+      // Double front squat: bells stay racked while the hips drop
+      else if (isDouble && zone === 'RACK' && startsFrontSquat(points)) {
+        resetRepPeaks();
+        state.squatDepth = 0;
+        beginRepCapture(wrist);
+        setPhase("SQUAT");
+        if (config.DEBUG_MODE) console.log("Phase: SQUAT");
+      }
+
+      // Press starting from rack
+      else if (zone === 'RACK' && vy < -0.4) {
+        resetRepPeaks();
+        beginRepCapture(wrist);
+        setPhase("CONCENTRIC");
+        if (config.DEBUG_MODE) console.log("Phase: CONCENTRIC (press from rack)");
+      }
+    }
+
+    // PHASE: SQUAT - Hips below the racked standing height
+    else if (state.phase === "SQUAT") {
+      if (zone !== 'RACK') {
+        state.rackHipY = null;
+        setPhase("LOCKOUT");
+        return;
+      }
+
+      const depth = (hip.y - state.rackHipY) / state.rackTorso;
+      state.squatDepth = Math.max(state.squatDepth, depth);
+
+      // Velocity is measured on the way up
+      if (vy < 0) trackRepPeaks();
+
+      // Wait for the drive to settle so it isn't read as a press from rack
+      if (depth < config.MOVEMENT.FRONT_SQUAT_START_DROP && vy > -0.4) {
+        if (state.squatDepth >= config.MOVEMENT.FRONT_SQUAT_MIN_DEPTH) {
+          recordSquat();
+        }
+        state.rackHipY = hip.y;
+        setPhase("LOCKOUT");
+      }
+    }
+
+    // PHASE: BOTTOM - Waiting for upward pull
+    else if (state.phase === "BOTTOM") {
+      if (zone !== 'FLOOR' && zone !== 'BACKSWING' && vy < -0.4) {
+        setPhase("CONCENTRIC");
+        if (config.DEBUG_MODE) console.log("Phase: CONCENTRIC");
+      }
+    }
+
+    // PHASE: CONCENTRIC - Tracking upward movement
+    else if (state.phase === "CONCENTRIC") {
+      trackRepPeaks();
+
+      if (wrist.y < state.currentRepPeakWristY) {
+        state.currentRepPeakWristY = wrist.y;
+        state.currentRepPeakWristX = wrist.x;
+      }
+
+      const isStable = Math.abs(vy) < config.LOCKOUT_VY_CUTOFF && v < config.LOCKOUT_SPEED_CUTOFF;
+
+      // RACK LOCKOUT - Clean detection
+      if (zone === 'RACK' && isStable) {
+        state.overheadHoldCount++;
+
+        if (state.overheadHoldCount >= 5) {
+          if (wrist.y < (state.repStartY - 0.2)) {
+            recordClean(isDouble ? "DOUBLE_CLEAN" : "CLEAN_FROM_FLOOR");
+          } else if (state.repStartedFrom === "RACK") {
+            recordClean(isDouble ? "DOUBLE_RE_CLEAN" : "RE_CLEAN");
+          }
+
+          state.rackHipY = null;
+          setPhase("LOCKOUT");
+          state.overheadHoldCount = 0;
+        }
+      }
+
+      // OVERHEAD LOCKOUT - Press or Snatch
+      else if (zone === 'OVERHEAD' && isStable) {
+        state.overheadHoldCount++;
+
+        if (state.overheadHoldCount >= 2) {
+          if (state.currentRepPeak < config.MOVEMENT.PRESS_VELOCITY_THRESHOLD) {
+            recordPress();
+          } else {
+            recordSnatch();
+          }
+
+          setPhase("LOCKOUT");
+          state.overheadHoldCount = 0;
+        }
+      }
+
+      // SWING DETECTION - Shoulder height lockout (not rack, not overhead)
+      else if (isStable && state.repStartedFrom === "FLOOR") {
+        // Check if at shoulder height but not in rack zone or overhead
+        const heightAboveShoulder = shoulder.y - wrist.y;
+        const heightAboveHip = hip.y - wrist.y;
+
+        // At shoulder height, ballistic velocity, not in rack position
+        if (heightAboveShoulder < config.MOVEMENT.SWING_MAX_HEIGHT_ABOVE_SHOULDER &&
+            heightAboveShoulder >= -0.1 &&
+            heightAboveHip >= config.MOVEMENT.SWING_MIN_HEIGHT_ABOVE_HIP &&
+            state.currentRepPeak >= config.MOVEMENT.PRESS_VELOCITY_THRESHOLD) {
+
+          state.overheadHoldCount++;
+
+          if (state.overheadHoldCount >= 2) {
+            recordSwing();
+            setPhase("LOCKOUT");
+            state.overheadHoldCount = 0;
+          }
+        }
+      }
+
+      else {
+        state.overheadHoldCount = 0;
+      }
+    }
+  }
+
+  // Landmarks the state machine reads: the locked side, or the midpoint of
+  // both sides when two bells are tracked
+  function getTrackedPoints(pose) {
+    const sides = state.lockedSide === "both"
+      ? [config.LEFT, config.RIGHT]
+      : [state.lockedSide === "left" ? config.LEFT : config.RIGHT];
+
+    const points = {};
+    for (const name of ["WRIST", "HIP", "SHOULDER", "KNEE"]) {
+      const landmarks = sides.map(idx => pose[idx[name]]);
+      if (landmarks.some(lm => !lm)) return null;
+
+      points[name.toLowerCase()] = {
+        x: landmarks.reduce((sum, lm) => sum + lm.x, 0) / landmarks.length,
+        y: landmarks.reduce((sum, lm) => sum + lm.y, 0) / landmarks.length
+      };
+    }
+    return points;
+  }
+
+  // Tracks the standing hip height while racked; true once the hips have
+  // dropped far enough (relative to torso length) to call it a squat
+  function startsFrontSquat({ shoulder, hip }) {
+    if (state.rackHipY === null || hip.y < state.rackHipY) {
+      state.rackHipY = hip.y;
+      state.rackTorso = Math.max(0.05, Math.abs(hip.y - shoulder.y));
+    }
+
+    return (hip.y - state.rackHipY) / state.rackTorso > config.MOVEMENT.FRONT_SQUAT_START_DROP;
+  }
+
+  // Raw (unsmoothed) speed is kept alongside the EMA so the mean over the
+  // concentric isn't dragged down by the filter lag
+  function beginRepCapture(wrist) {
+    state.repSamples = [];
+    state.repMissedFrames = 0;
+    captureRepSample(wrist);
+  }
+
+  function captureRepSample(wrist) {
+    state.repSamples.push({
+      t: state.timeMs,
+      v: state.rawSpeed,
+      vs: state.smoothedVelocity,
+      vy: state.rawVy,
+      x: wrist.x,
+      y: wrist.y,
+      ok: state.trackingObserved
+    });
+
+    if (state.repSamples.length > config.REP_CURVE_MAX_SAMPLES) state.repSamples.shift();
+  }
+
+  function resetRepPeaks() {
+    state.currentRepPeak = 0;
+    state.armPeaks = { left: 0, right: 0 };
+  }
+
+  function trackRepPeaks() {
+    if (state.smoothedVelocity > state.currentRepPeak) state.currentRepPeak = state.smoothedVelocity;
+
+    if (state.lockedSide === "both") {
+      ["left", "right"].forEach(side => {
+        state.armPeaks[side] = Math.max(state.armPeaks[side], state.arms[side].smoothedVelocity);
+      });
+    }
+  }
+
+  // ============================================
+  // RECORDING FUNCTIONS
+  // ============================================
+
+  function recordClean(cleanType) {
+    const cleanData = buildRep(cleanType);
+
+    if (state.currentSet) {
+      state.currentSet.cleans.push(cleanData);
+    }
+
+    const fatigue = recordDrop("clean", cleanData);
+
+    if (config.DEBUG_MODE) {
+      const displayType = cleanType.includes("RE_CLEAN") ? "Re-Clean" : "Clean (Floor)";
+      console.log(`✅ ${displayType} #${state.cleanHistory.length}: ${state.currentRepPeak.toFixed(2)} m/s | Drop: ${formatDrop(fatigue.drop)}`);
+    }
+
+    emitRep("clean", cleanData, state.cleanHistory.length, cleanType, fatigue.drop);
+  }
+
+  function recordPress() {
+    const pressData = buildRep(repType('PRESS'));
+
+    if (state.currentSet) {
+      state.currentSet.presses.push(pressData);
+    }
+
+    const fatigue = recordDrop("press", pressData);
+
+    if (config.DEBUG_MODE) {
+      console.log(`💪 PRESS #${state.pressHistory.length}: ${state.currentRepPeak.toFixed(2)} m/s | Drop: ${formatDrop(fatigue.drop)}`);
+    }
+
+    emitRep("press", pressData, state.pressHistory.length, movementName('PRESS'), fatigue.drop);
+  }
+
+  function recordSnatch() {
+    const snatchData = buildRep(repType('SNATCH'));
+
+    if (state.currentSet) {
+      state.currentSet.snatches.push(snatchData);
+    }
+
+    const fatigue = recordDrop("snatch", snatchData);
+
+    if (config.DEBUG_MODE) {
+      console.log(`⚡ SNATCH #${state.currentSet.snatches.length}: ${state.currentRepPeak.toFixed(2)} m/s | Drop: ${formatDrop(fatigue.drop)}`);
+    }
+
+    emitRep("snatch", snatchData, state.currentSet.snatches.length, movementName('SNATCH'), fatigue.drop);
+  }
+
+  function recordSwing() {
+    const swingData = buildRep(repType('SWING'));
+
+    if (state.currentSet) {
+      state.currentSet.swings.push(swingData);
+    }
+
+    const fatigue = recordDrop("swing", swingData);
+
+    if (config.DEBUG_MODE) {
+      console.log(`🔄 SWING #${state.currentSet.swings.length}: ${state.currentRepPeak.toFixed(2)} m/s | Drop: ${formatDrop(fatigue.drop)}`);
+    }
+
+    emitRep("swing", swingData, state.currentSet.swings.length, movementName('SWING'), fatigue.drop);
+  }
+
+  function recordSquat() {
+    const squatData = buildRep('DOUBLE_FRONT_SQUAT');
+    squatData.depth = state.squatDepth;
+
+    if (state.currentSet) {
+      state.currentSet.squats.push(squatData);
+    }
+
+    if (config.DEBUG_MODE) {
+      console.log(`🏋️ FRONT SQUAT #${state.currentSet.squats.length}: ${state.currentRepPeak.toFixed(2)} m/s`);
+    }
+
+    emitRep("squat", squatData, state.currentSet.squats.length, 'DOUBLE_FRONT_SQUAT');
+  }
+
+  // Double-bell reps keep the combined peak as `velocity` plus each arm's own
+  function buildRep(type) {
+    const curve = analyzeRepCurve(state.repSamples, state.frameHeight / state.pxPerMeter);
+
+    const rep = {
+      type,
+      velocity: state.currentRepPeak,
+      hand: state.lockedSide,
+      timestamp: Date.now(),
+      time_ms: state.timeMs,
+      video_time_ms: state.videoTimeMs,
+      ...curve
+    };
+
+    Object.assign(rep, computeRepOutput(rep, repMass()));
+
+    // Share of the rep's frames where the tracked landmarks were really seen
+    const frames = state.repSamples.length + state.repMissedFrames;
+    rep.tracking_confidence = frames ? state.repSamples.filter(s => s.ok).length / frames : 0;
+    rep.low_confidence = rep.tracking_confidence < config.LOW_CONFIDENCE_TRACKING;
+
+    if (state.lockedSide === "both") {
+      rep.left_velocity = state.armPeaks.left;
+      rep.right_velocity = state.armPeaks.right;
+    }
+
+    return rep;
+  }
+
+  // Double bells move both masses; a missing hand is assumed to match the other
+  function repMass() {
+    const kg = state.currentSet ? state.currentSet.bell_kg : state.bellWeights;
+
+    if (state.lockedSide === "both") {
+      const total = (kg.left || kg.right) + (kg.right || kg.left);
+      return total > 0 ? total : null;
+    }
+    return kg[state.lockedSide] || null;
+  }
+
+  function repType(base) {
+    return state.lockedSide === "both" ? `DOUBLE_${base}` : base;
+  }
+
+  // e.g. PRESS -> PRESS_SINGLE_LEFT or DOUBLE_PRESS
+  function movementName(base) {
+    return state.lockedSide === "both" ? `DOUBLE_${base}` : `${base}_SINGLE_${state.lockedSide.toUpperCase()}`;
+  }
+
+  function dropMetric(rep) {
+    return repDropValue(rep, config);
+  }
+
+  // Adds the rep to its lift's history (state.cleanHistory, ...), setting the
+  // lift's baseline once BASELINE_REPS are in
+  function recordDrop(kind, rep) {
+    const history = state[`${kind}History`];
+    history.push(dropMetric(rep));
+
+    if (history.length === config.BASELINE_REPS && !state[`${kind}Baseline`]) {
+      state[`${kind}Baseline`] = history.reduce((a,b) => a+b, 0) / config.BASELINE_REPS;
+    }
+
+    return updateFatigue(kind, history, state[`${kind}Baseline`], dropMetric(rep), rep);
+  }
+
+  // Drop-off against the first BASELINE_REPS of the set. `drop` stays null
+  // until the baseline exists and at least one rep has been compared to it.
+  // `best_drop` compares every rep with the athlete's historical best for
+  // the same bells and load, when there is one.
+  function updateFatigue(kind, history, baseline, velocity, rep) {
+    let drop = null;
+    let level = null;
+
+    if (baseline > 0 && history.length > config.BASELINE_REPS) {
+      drop = ((baseline - velocity) / baseline) * 100;
+
+      if (drop < config.DROP_WARN) {
+        level = "ok";
+      } else if (drop < config.DROP_FAIL) {
+        level = "warn";
+      } else {
+        level = "fail";
+      }
+    }
+
+    const best = historicalBest(kind, rep);
+    const bestDrop = best ? ((best - velocity) / best) * 100 : null;
+
+    const fatigue = { kind, metric: config.DROP_METRIC, baseline, velocity, drop, level, best, best_drop: bestDrop };
+    emit("fatigueUpdated", fatigue);
+    return fatigue;
+  }
+
+  function historicalBest(kind, rep) {
+    const bells = state.currentSet ? state.currentSet.bells : state.bellConfig;
+    const entry = state.athleteBaselines[baselineKey(kind, bells, rep.mass_kg)];
+    if (!entry) return null;
+
+    const best = config.DROP_METRIC === "mcv" && rep.mcv !== null ? entry.mcv : entry.peak;
+    return best > 0 ? best : null;
+  }
+
+  // ============================================
+  // ECCENTRIC RETURN
+  // ============================================
+
+  // After lockout the bell comes back down (press to rack, snatch to the
+  // backswing). The return runs from the first clear descent until the bell
+  // stops going down or the next rep starts; time under tension runs from the start
+  // of the concentric to its end.
+  function startEccentric(rep) {
+    const [low] = rep.concentric_range || [];
+    const start = low !== undefined && state.repSamples[low] ? state.repSamples[low].t : rep.time_ms;
+
+    rep.eccentric_ms = null;
+    rep.tut_ms = Math.round(rep.time_ms - start);
+    state.eccentric = { rep, concentricStartMs: start, startMs: null };
+  }
+
+  function trackEccentric(vy) {
+    const ecc = state.eccentric;
+    if (!ecc) return;
+
+    if (state.phase !== "LOCKOUT") {
+      finishEccentric();
+    } else if (ecc.startMs === null) {
+      if (vy > config.ECCENTRIC_START_VY) ecc.startMs = state.timeMs;
+    } else if (vy < config.ECCENTRIC_END_VY) {
+      finishEccentric();
+    }
+  }
+
+  // A bell that never came down (a clean straight into a press) has no return
+  function finishEccentric() {
+    const ecc = state.eccentric;
+    if (!ecc) return;
+    state.eccentric = null;
+
+    const { rep } = ecc;
+    if (ecc.startMs !== null) {
+      rep.eccentric_ms = Math.round(state.timeMs - ecc.startMs);
+      rep.tut_ms = Math.round(state.timeMs - ecc.concentricStartMs);
+    } else {
+      rep.eccentric_ms = 0;
+    }
+
+    emit("repCompleted", { rep, eccentric_ms: rep.eccentric_ms, tut_ms: rep.tut_ms, set: state.currentSet });
+  }
+
+  // `drop` is the rep's drop-off, for the lifts that track one
+  function emitRep(kind, rep, count, movement, drop = null) {
+    startEccentric(rep);
+    emit("repRecorded", {
+      kind,
+      rep,
+      count,
+      movement,
+      side: state.lockedSide,
+      set: state.currentSet
+    });
+    checkStopSignal(kind, drop);
+  }
+
+  // Ids for sets made outside the engine (a split in rep review), so they
+  // never collide with the next detected set
+  function claimSetId() {
+    return ++state.setCount;
+  }
+
+  // Only the first signal of a set counts; reps after it are "pushed past"
+  function checkStopSignal(kind, drop) {
+    const set = state.currentSet;
+    if (!set || set.stop_signal) return;
+
+    const signal = stopSignalFor(set, kind, drop, config);
+    if (!signal) return;
+
+    set.stop_signal = { ...signal, time_ms: state.timeMs };
+    if (config.DEBUG_MODE) console.log(`✋ STOP SIGNAL: ${signal.reason} at rep ${signal.rep}`);
+
+    emit("stopSignal", { ...set.stop_signal, set });
+  }
+
+  return {
+    state,
+    on,
+    off,
+    processFrame,
+    setBellConfig,
+    setBellWeights,
+    setCalibrationReference,
+    getCalibrationReference,
+    setAthleteBaselines,
+    configure,
+    getConfig,
+    claimSetId,
+    endSet,
+    reset
+  };
+}
+
+function createHandSwitchState() {
+  return {
+    together: false,
+    separatedAtMs: null,
+    speed: { left: 0, right: 0 },
+    frames: 0
+  };
+}
+
+function createArmKinematics() {
+  return {
+    prevWrist: null,
+    smoothedVelocity: 0,
+    smoothedVy: 0,
+    lastSpeed: 0,
+    lastVy: 0,
+    rawSpeed: 0,
+    rawVy: 0
+  };
+}
+
+const REP_PHASES = ["BOTTOM", "CONCENTRIC", "SQUAT"];
+
+// Set times are only comparable between sets of the same engine run
+function createClockId() {
+  return `clock-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// ============================================
+// REP CURVES
+// ============================================
+
+// The concentric runs from the lowest wrist position of the rep to the
+// highest point reached after it. `metersPerUnit` converts normalized
+// image height to meters.
+export function analyzeRepCurve(samples, metersPerUnit) {
+  const empty = { mcv: null, time_to_peak_ms: null, concentric_ms: null, displacement_m: null, concentric_range: null, curve: [] };
+  if (!samples || samples.length < 2) return empty;
+
+  let low = 0;
+  samples.forEach((s, i) => {
+    if (s.y > samples[low].y) low = i;
+  });
+
+  let high = low;
+  for (let i = low + 1; i < samples.length; i++) {
+    if (samples[i].y < samples[high].y) high = i;
+  }
+
+  const t0 = samples[0].t;
+  const curve = samples.map(s => ({
+    t: Math.round(s.t - t0),
+    v: round3(s.v),
+    vs: round3(s.vs),
+    vy: round3(s.vy),
+    x: round3(s.x),
+    y: round3(s.y),
+    ok: s.ok
+  }));
+
+  if (high === low) return { ...empty, curve };
+
+  const concentric = samples.slice(low + 1, high + 1);
+  const peak = concentric.reduce((best, s) => (s.v > best.v ? s : best), concentric[0]);
+
+  return {
+    mcv: concentric.reduce((sum, s) => sum + s.v, 0) / concentric.length,
+    time_to_peak_ms: Math.round(peak.t - samples[low].t),
+    concentric_ms: Math.round(samples[high].t - samples[low].t),
+    displacement_m: (samples[low].y - samples[high].y) * metersPerUnit,
+    concentric_range: [low, high],
+    curve
+  };
+}
+
+// ============================================
+// POWER OUTPUT
+// ============================================
+
+const GRAVITY = 9.81;
+
+// Work lifts the bell through the concentric displacement; mean power is that
+// work over the concentric time. Peak power uses the fastest upward speed
+// against gravity, impulse adds the change in upward speed.
+export function computeRepOutput(rep, massKg) {
+  const output = { mass_kg: massKg || null, work_j: null, mean_power_w: null, peak_power_w: null, impulse_ns: null };
+  if (!massKg || !rep.concentric_range) return output;
+
+  const [low, high] = rep.concentric_range;
+  const seconds = rep.concentric_ms / 1000;
+  const upSpeeds = rep.curve.slice(low + 1, high + 1).map(s => -s.vy);
+  const work = massKg * GRAVITY * rep.displacement_m;
+
+  output.work_j = work;
+  output.mean_power_w = seconds > 0 ? work / seconds : null;
+  output.peak_power_w = massKg * GRAVITY * Math.max(0, ...upSpeeds);
+  // vy is positive downward
+  output.impulse_ns = massKg * (GRAVITY * seconds + rep.curve[low].vy - rep.curve[high].vy);
+  return output;
+}
+
+function round3(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+// ============================================
+// SET SUMMARY
+// ============================================
+
+export function summarizeSet(set, config = CONFIG) {
+  const fatigue = summarizeFatigue(set, config);
+
+  return {
+    total_cleans: set.cleans.length,
+    floor_cleans: set.cleans.filter(c => c.type === 'CLEAN_FROM_FLOOR' || c.type === 'DOUBLE_CLEAN').length,
+    re_cleans: set.cleans.filter(c => c.type === 'RE_CLEAN' || c.type === 'DOUBLE_RE_CLEAN').length,
+    total_presses: set.presses.length,
+    total_snatches: set.snatches.length,
+    total_swings: set.swings.length,
+    total_squats: (set.squats || []).length,
+    hand_switches: (set.switches || []).length,
+    low_confidence_reps: REP_LISTS.reduce((sum, list) => sum + (set[list] || []).filter(rep => rep.low_confidence).length, 0),
+    per_hand: countRepsByHand(set),
+    ...summarizeOutput(set),
+    fatigue,
+    tempo: summarizeTempo(set),
+    autoregulation: summarizeAutoregulation(set, fatigue, config)
+  };
+}
+
+// DROP_METRIC "mcv" falls back to peak for reps without a usable curve
+export function repDropValue(rep, config = CONFIG) {
+  return config.DROP_METRIC === "mcv" && rep.mcv !== null && rep.mcv !== undefined ? rep.mcv : rep.velocity;
+}
+
+// The same baseline and drop-off the engine reports live, worked out again
+// from the set's reps (so it follows edits). Reps without a velocity, such
+// as ones added by hand, are left out.
+export function summarizeFatigue(set, config = CONFIG) {
+  const fatigue = { metric: config.DROP_METRIC };
+
+  [["clean", "cleans"], ["press", "presses"], ["snatch", "snatches"], ["swing", "swings"]].forEach(([kind, list]) => {
+    const values = (set[list] || []).map(rep => repDropValue(rep, config)).filter(v => v > 0);
+    const opening = values.slice(0, config.BASELINE_REPS);
+    const baseline = opening.length === config.BASELINE_REPS ? opening.reduce((a, b) => a + b, 0) / opening.length : null;
+    const drops = baseline ? values.slice(config.BASELINE_REPS).map(v => ((baseline - v) / baseline) * 100) : [];
+
+    fatigue[kind] = {
+      baseline,
+      last_drop: drops.length ? drops[drops.length - 1] : null,
+      max_drop: drops.length ? Math.max(...drops) : null
+    };
+  });
+
+  return fatigue;
+}
+
+// Totals only cover reps that had a bell weight and a usable concentric
+function summarizeOutput(set) {
+  const reps = REP_LISTS.flatMap(list => set[list] || []).filter(rep => rep.work_j !== null && rep.work_j !== undefined);
+  if (!reps.length) {
+    return { total_work_j: null, total_impulse_ns: null, mean_power_w: null, peak_power_w: null };
+  }
+
+  const powered = reps.filter(rep => rep.mean_power_w !== null);
+
+  return {
+    total_work_j: reps.reduce((sum, rep) => sum + rep.work_j, 0),
+    total_impulse_ns: reps.reduce((sum, rep) => sum + rep.impulse_ns, 0),
+    mean_power_w: powered.length ? powered.reduce((sum, rep) => sum + rep.mean_power_w, 0) / powered.length : null,
+    peak_power_w: Math.max(...reps.map(rep => rep.peak_power_w))
+  };
+}
+
+function countRepsByHand(set) {
+  const perHand = {};
+
+  REP_LISTS.forEach(list => {
+    (set[list] || []).forEach(rep => {
+      const hand = rep.hand || set.hand;
+      if (!perHand[hand]) perHand[hand] = { cleans: 0, presses: 0, snatches: 0, swings: 0, squats: 0, total: 0 };
+      perHand[hand][list]++;
+      perHand[hand].total++;
+    });
+  });
+
+  return perHand;
+}
+
+// ============================================
+// POSITION DETECTION
+// ============================================
+
+// One side's zone boundaries in normalized frame units (y grows downward),
+// null when its shoulder or hip can't be trusted. `kneeY` is null when the
+// knee can't, and then nothing below the hip is zoned.
+export function getZoneBounds(pose, side, config = CONFIG) {
+  const idx = side === "left" ? config.LEFT : config.RIGHT;
+  const hip = pose[idx.HIP];
+  const shoulder = pose[idx.SHOULDER];
+  const knee = pose[idx.KNEE];
+
+  if (![hip, shoulder].every(lm => isLandmarkUsable(lm, config))) return null;
+
+  // Side-on, the far shoulder is often hidden; fall back to the near one
+  const shoulders = [pose[config.LEFT.SHOULDER], pose[config.RIGHT.SHOULDER]].filter(lm => isLandmarkUsable(lm, config));
+
+  return {
+    torsoCenter: shoulders.reduce((sum, lm) => sum + lm.x, 0) / shoulders.length,
+    overheadY: shoulder.y - config.MOVEMENT.SNATCH_MIN_HEIGHT_ABOVE_SHOULDER,
+    rackTop: shoulder.y + config.MOVEMENT.CLEAN_RACK_HEIGHT_MIN,
+    rackBottom: shoulder.y + config.MOVEMENT.CLEAN_RACK_HEIGHT_MAX,
+    hipY: hip.y,
+    kneeY: isLandmarkUsable(knee, config) ? knee.y : null
+  };
+}
+
+export function getWristZone(pose, side, config = CONFIG) {
+  const idx = side === "left" ? config.LEFT : config.RIGHT;
+  const wrist = pose[idx.WRIST];
+  const bounds = isLandmarkUsable(wrist, config) ? getZoneBounds(pose, side, config) : null;
+  if (!bounds) return 'UNKNOWN';
+
+  const horizontalDist = Math.abs(wrist.x - bounds.torsoCenter);
+  const isCloseToTorso = horizontalDist < config.MOVEMENT.CLEAN_HORIZONTAL_PROXIMITY;
+
+  if (wrist.y < bounds.overheadY) {
+    return 'OVERHEAD';
+  }
+
+  if (wrist.y >= bounds.rackTop && wrist.y <= bounds.rackBottom && isCloseToTorso) {
+    return 'RACK';
+  }
+
+  // Below the hip the knee decides, so it has to be trusted too
+  if (bounds.kneeY === null) {
+    return wrist.y > bounds.hipY ? 'UNKNOWN' : 'TRANSITION';
+  }
+
+  if (wrist.y > bounds.hipY && wrist.y <= bounds.kneeY) {
+    return 'BACKSWING';
+  }
+
+  if (wrist.y > bounds.kneeY) {
+    return 'FLOOR';
+  }
+
+  return 'TRANSITION';
+}
+
+// Both wrists have to agree; a FLOOR/BACKSWING split still counts as low
+export function getDoubleZone(pose, config = CONFIG) {
+  const left = getWristZone(pose, "left", config);
+  const right = getWristZone(pose, "right", config);
+  if (left === right) return left;
+
+  const low = ['FLOOR', 'BACKSWING'];
+  if (low.includes(left) && low.includes(right)) return 'FLOOR';
+
+  return 'TRANSITION';
+}
+
+export function isWristInFloorZone(pose, side, config = CONFIG) {
+  const idx = side === "left" ? config.LEFT : config.RIGHT;
+  const wrist = pose[idx.WRIST];
+  const knee = pose[idx.KNEE];
+  if (!isLandmarkUsable(wrist, config) || !isLandmarkUsable(knee, config)) return false;
+  return wrist.y > knee.y;
+}
+
+export function formatDrop(drop) {
+  return drop === null ? "--" : drop.toFixed(1) + "%";
+}
@@ -0,0 +1,170 @@
+/**
+ * VBT v3.5 - EXPORT DESTINATIONS
+ * Where a session goes when it is exported. Several destinations can be
+ * enabled at once; downloads happen immediately, webhooks go through the
+ * outbox (see outbox.js) so they survive being offline.
+ *
+ * Destination: { id, type, name, enabled, url, secret, headers }
+ * Types: "json" (file download), "csv" (one row per rep), "webhook"
+ *
+ * Webhooks with a secret are signed: `X-VBT-Signature: sha256=<hex>` is the
+ * HMAC-SHA256 of the exact request body.
+ */
+
+import { CONFIG, REP_LISTS } from "./config.js";
+import { summarizeSession } from "./density.js";
+
+const STORAGE_KEY = "vbt-export-destinations";
+
+export const DESTINATION_TYPES = ["json", "csv", "webhook"];
+
+// Saved destinations, or the CONFIG defaults on first run
+export function loadDestinations(config = CONFIG) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(saved)) return saved.map(normalizeDestination);
+  } catch (e) {
+    console.warn("Export destinations unreadable, using defaults:", e);
+  }
+  return config.EXPORT_DESTINATIONS.map(normalizeDestination);
+}
+
+export function saveDestinations(destinations) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(destinations.map(normalizeDestination)));
+}
+
+export function createDestination(type) {
+  return normalizeDestination({
+    id: `${type}-${Date.now().toString(36)}`,
+    type,
+    name: type === "webhook" ? "Webhook" : type.toUpperCase() + " download",
+    enabled: true
+  });
+}
+
+function normalizeDestination(dest) {
+  return {
+    id: dest.id,
+    type: DESTINATION_TYPES.includes(dest.type) ? dest.type : "webhook",
+    name: dest.name || dest.id,
+    enabled: dest.enabled !== false,
+    url: dest.url || "",
+    secret: dest.secret || "",
+    headers: dest.headers && typeof dest.headers === "object" ? { ...dest.headers } : {}
+  };
+}
+
+// ============================================
+// PAYLOADS
+// ============================================
+
+// Rep curves are only kept on request (the JSON download); they make up
+// most of a session's size and webhook receivers don't use them
+export function buildExportPayload(record, { includeCurves = false } = {}) {
+  const density = summarizeSession(record.sets);
+  const reps = list => includeCurves ? list || [] : (list || []).map(({ curve, ...rep }) => rep);
+
+  return {
+    athlete_id: record.athlete_id,
+    athlete_name: record.athlete_name || null,
+    session_date: record.started_at,
+    snatch_test: record.snatch_test,
+    program: record.program,
+    density,
+    press_profile: record.press_profile || null,
+    sets: record.sets.map((set, index) => ({
+      set_order: index + 1,
+      rest_before_ms: density.rests_ms[index],
+      hand: set.hand,
+      bells: set.bells || "single",
+      bell_kg: set.bell_kg || null,
+      calibration: set.calibration || null,
+      cleans: reps(set.cleans),
+      presses: reps(set.presses),
+      snatches: reps(set.snatches),
+      swings: reps(set.swings),
+      squats: reps(set.squats),
+      switches: set.switches || [],
+      program: set.program || null,
+      summary: set.summary || {},
+      edited: !!set.edited,
+      edits: set.edits || [],
+      deleted_reps: set.deleted_reps || []
+    }))
+  };
+}
+
+export const CSV_COLUMNS = [
+  "athlete_id", "athlete_name", "session_date", "set_order", "rest_before_ms", "bells", "bell_kg", "rep", "type", "hand",
+  "timestamp", "velocity", "left_velocity", "right_velocity", "mcv", "time_to_peak_ms",
+  "concentric_ms", "eccentric_ms", "tut_ms", "displacement_m", "mass_kg", "mean_power_w", "peak_power_w",
+  "work_j", "impulse_ns", "tracking_confidence", "low_confidence", "edited"
+];
+
+// One row per rep, in the order they happened within each set
+export function buildRepCsv(payload) {
+  const lines = [CSV_COLUMNS.join(",")];
+
+  payload.sets.forEach(set => {
+    const reps = REP_LISTS.flatMap(list => set[list] || []).sort((a, b) => a.timestamp - b.timestamp);
+    const bellKg = set.bell_kg ? [set.bell_kg.left, set.bell_kg.right].filter(Boolean).join("+") : null;
+
+    reps.forEach((rep, i) => {
+      const row = {
+        ...rep,
+        athlete_id: payload.athlete_id,
+        athlete_name: payload.athlete_name,
+        session_date: payload.session_date,
+        set_order: set.set_order,
+        rest_before_ms: set.rest_before_ms,
+        bells: set.bells,
+        bell_kg: bellKg,
+        rep: i + 1,
+        hand: rep.hand || set.hand,
+        timestamp: rep.timestamp ? new Date(rep.timestamp).toISOString() : null
+      };
+      lines.push(CSV_COLUMNS.map(col => csvCell(row[col])).join(","));
+    });
+  });
+
+  return lines.join("\r\n") + "\r\n";
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return "";
+  const text = typeof value === "number" ? String(Math.round(value * 1000) / 1000) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ============================================
+// WEBHOOK SIGNING
+// ============================================
+
+export async function signBody(body, secret) {
+  if (!globalThis.crypto || !globalThis.crypto.subtle) {
+    throw new Error("Signing needs a secure context (https or localhost)");
+  }
+
+  const encoder = new TextEncoder();
+  const key = await globalThis.crypto.subtle.importKey(
+    "raw", encoder.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]
+  );
+  const signature = await globalThis.crypto.subtle.sign("HMAC", key, encoder.encode(body));
+  return "sha256=" + Array.from(new Uint8Array(signature), b => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Custom headers are edited as "Name: value" lines
+export function parseHeaders(text) {
+  const headers = {};
+  text.split(/\r?\n/).forEach(line => {
+    const at = line.indexOf(":");
+    if (at <= 0) return;
+    const name = line.slice(0, at).trim();
+    if (name) headers[name] = line.slice(at + 1).trim();
+  });
+  return headers;
+}
+
+export function formatHeaders(headers) {
+  return Object.entries(headers).map(([name, value]) => `${name}: ${value}`).join("\n");
+}
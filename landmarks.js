@@ -0,0 +1,74 @@
+/**
+ * VBT v3.5 - LANDMARK FILTER
+ * DOM-free visibility gating for pose frames. Landmarks scored below
+ * MIN_LANDMARK_VISIBILITY are dropped (null); short dropouts are bridged
+ * by extrapolating from the last two good positions and flagged
+ * `extrapolated` so callers can tell guesses from observations.
+ *
+ * Extrapolation carries the last motion on in a straight line, so it
+ * overshoots when the landmark turns around during the gap. The window
+ * (LANDMARK_MAX_GAP_MS) is kept to a few frames for that reason.
+ */
+
+import { CONFIG } from "./config.js";
+
+export function createLandmarkFilter(config = CONFIG) {
+  let tracks = [];
+
+  function process(pose, timeMs) {
+    return pose.map((lm, i) => {
+      const track = tracks[i] || (tracks[i] = { last: null, prev: null });
+
+      if (lm && landmarkScore(lm) >= config.MIN_LANDMARK_VISIBILITY) {
+        track.prev = track.last;
+        track.last = { x: lm.x, y: lm.y, z: lm.z, t: timeMs };
+        return lm;
+      }
+
+      return bridgeGap(track, lm, timeMs);
+    });
+  }
+
+  function bridgeGap(track, lm, timeMs) {
+    const last = track.last;
+    const gapMs = last ? timeMs - last.t : Infinity;
+    if (gapMs <= 0 || gapMs > config.LANDMARK_MAX_GAP_MS) return null;
+
+    const prev = track.prev;
+    const spanMs = prev ? last.t - prev.t : 0;
+    const f = spanMs > 0 ? gapMs / spanMs : 0;
+
+    return {
+      x: last.x + (prev ? (last.x - prev.x) * f : 0),
+      y: last.y + (prev ? (last.y - prev.y) * f : 0),
+      z: last.z,
+      visibility: lm ? lm.visibility : 0,
+      extrapolated: true
+    };
+  }
+
+  function reset() {
+    tracks = [];
+  }
+
+  return {
+    process,
+    reset
+  };
+}
+
+// MediaPipe reports both visibility (in frame, not occluded) and presence
+export function landmarkScore(lm) {
+  const visibility = lm.visibility === undefined ? 1 : lm.visibility;
+  const presence = lm.presence === undefined ? 1 : lm.presence;
+  return Math.min(visibility, presence);
+}
+
+// Bridged landmarks count as usable; raw ones have to clear the threshold
+export function isLandmarkUsable(lm, config = CONFIG) {
+  return !!lm && (lm.extrapolated === true || landmarkScore(lm) >= config.MIN_LANDMARK_VISIBILITY);
+}
+
+export function isLandmarkObserved(lm, config = CONFIG) {
+  return !!lm && !lm.extrapolated && landmarkScore(lm) >= config.MIN_LANDMARK_VISIBILITY;
+}
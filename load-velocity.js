@@ -0,0 +1,109 @@
+/**
+ * VBT v3.5 - PRESS LOAD-VELOCITY PROFILE
+ * DOM-free load-velocity regression for the kettlebell press. Each set
+ * gives one point per hand: the bell weight (`mass_kg`, both bells for
+ * doubles) and the fastest press at it. A straight line through the
+ * points, extended down to a minimal velocity threshold, gives the load the
+ * athlete could press once: the estimated 1RM.
+ *
+ * Velocities are CONFIG.LV_METRIC ("mcv" or "peak"), so the threshold has
+ * to be in the same terms. Hands are profiled separately ("left", "right",
+ * "both" for double bells); presses without a known hand are left out and
+ * only counted (`unattributed`).
+ */
+
+import { CONFIG } from "./config.js";
+
+export const LV_HANDS = ["left", "right", "both"];
+
+function repVelocity(rep, config) {
+  const value = config.LV_METRIC === "mcv" ? rep.mcv : rep.velocity;
+  return value > 0 ? value : null;
+}
+
+function isProfiled(rep, config) {
+  return rep.mass_kg > 0 && repVelocity(rep, config) !== null;
+}
+
+// [{ hand, load_kg, velocity, set_id }]; presses without a weight, a
+// velocity or a known hand are left out
+export function pressLoadPoints(sets, config = CONFIG) {
+  return sets.flatMap(set => {
+    const best = {};
+    (set.presses || []).forEach(rep => {
+      if (!isProfiled(rep, config) || !LV_HANDS.includes(rep.hand)) return;
+
+      const velocity = repVelocity(rep, config);
+      const key = `${rep.hand}:${rep.mass_kg}`;
+      if (!best[key] || velocity > best[key].velocity) {
+        best[key] = { hand: rep.hand, load_kg: rep.mass_kg, velocity, set_id: set.id };
+      }
+    });
+    return Object.values(best);
+  });
+}
+
+// velocity = intercept + slope × load. Needs two different loads; null otherwise.
+export function fitLoadVelocity(points) {
+  const loads = new Set(points.map(p => p.load_kg));
+  if (loads.size < 2) return null;
+
+  const n = points.length;
+  const meanLoad = points.reduce((sum, p) => sum + p.load_kg, 0) / n;
+  const meanVelocity = points.reduce((sum, p) => sum + p.velocity, 0) / n;
+  const sxx = points.reduce((sum, p) => sum + (p.load_kg - meanLoad) ** 2, 0);
+  const sxy = points.reduce((sum, p) => sum + (p.load_kg - meanLoad) * (p.velocity - meanVelocity), 0);
+  const syy = points.reduce((sum, p) => sum + (p.velocity - meanVelocity) ** 2, 0);
+
+  const slope = sxy / sxx;
+  return {
+    slope,
+    intercept: meanVelocity - slope * meanLoad,
+    r2: syy > 0 ? (sxy * sxy) / (sxx * syy) : 1,
+    points: n,
+    loads: loads.size
+  };
+}
+
+// Load at the given velocity; null unless velocity falls as the load rises
+export function estimateLoadAtVelocity(fit, velocity) {
+  if (!fit || !(fit.slope < 0)) return null;
+  return (velocity - fit.intercept) / fit.slope;
+}
+
+// Weighed presses left out because no hand was recorded for them
+export function unattributedPresses(sets, config = CONFIG) {
+  return sets.reduce((count, set) => count + (set.presses || [])
+    .filter(rep => isProfiled(rep, config) && !LV_HANDS.includes(rep.hand)).length, 0);
+}
+
+// Per hand: { points, fit, e1rm_kg }, only for hands that pressed a weighed bell
+export function pressProfiles(sets, minVelocity, config = CONFIG) {
+  const points = pressLoadPoints(sets, config);
+  const profiles = { metric: config.LV_METRIC, min_velocity: minVelocity, unattributed: unattributedPresses(sets, config) };
+
+  LV_HANDS.forEach(hand => {
+    const own = points.filter(p => p.hand === hand);
+    if (!own.length) return;
+
+    const fit = fitLoadVelocity(own);
+    profiles[hand] = { points: own, fit, e1rm_kg: estimateLoadAtVelocity(fit, minVelocity) };
+  });
+  return profiles;
+}
+
+// One estimate per session that pressed at least two weights with the hand
+export function e1rmTrend(sessions, hand, minVelocity, config = CONFIG) {
+  return sessions.map(record => {
+    const profile = pressProfiles(record.sets || [], minVelocity, config)[hand];
+    if (!profile || profile.e1rm_kg === null) return null;
+
+    return {
+      date: new Date(record.started_at).getTime(),
+      session_id: record.id,
+      e1rm_kg: profile.e1rm_kg,
+      r2: profile.fit.r2,
+      loads: profile.fit.loads
+    };
+  }).filter(Boolean);
+}
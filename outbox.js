@@ -0,0 +1,204 @@
+/**
+ * VBT v3.5 - EXPORT OUTBOX
+ * Durable webhook queue: every export is stored first, then sent. Network
+ * failures and 5xx responses retry with exponential backoff; other
+ * rejections are marked failed and wait for a manual resend.
+ *
+ * Each payload carries an `idempotency_key` derived from its content, also
+ * sent as the `Idempotency-Key` header, so the same export queued twice (or
+ * retried after a lost response) can be dropped on the receiving side.
+ *
+ * Entry: { id (destination id + idempotency key), label, destination,
+ *          created_at, payload, status, attempts, next_attempt_at,
+ *          last_error, sent_at }
+ * Status: "pending" | "sent" | "failed"
+ *
+ * Entries don't keep the destination's HMAC secret; `secretFor(destinationId)`
+ * looks it up when a request is signed.
+ */
+
+import { CONFIG } from "./config.js";
+import { saveOutboxEntry, loadOutboxEntry, deleteOutboxEntry, listOutbox } from "./storage.js";
+import { signBody } from "./exporters.js";
+
+export function createOutbox(config = CONFIG, onChange = () => {}, secretFor = () => "") {
+  let flushing = false;
+  const inFlight = new Set();
+
+  // An export that already went out to this destination is not queued again
+  async function enqueue(payload, label, destination) {
+    const key = await idempotencyKey(payload);
+    const id = `${destination.id}:${key}`;
+    const existing = await loadOutboxEntry(id);
+    if (existing && existing.status === "sent") return { entry: existing, duplicate: true };
+
+    const entry = {
+      id,
+      label,
+      destination: {
+        id: destination.id,
+        name: destination.name,
+        url: destination.url,
+        headers: destination.headers
+      },
+      created_at: existing ? existing.created_at : new Date().toISOString(),
+      payload: { ...payload, idempotency_key: key },
+      status: "pending",
+      attempts: 0,
+      next_attempt_at: 0,
+      last_error: null,
+      sent_at: null
+    };
+
+    await saveOutboxEntry(entry);
+    onChange(entry);
+    return { entry, duplicate: false };
+  }
+
+  // Sends a pending entry right away, regardless of its backoff
+  function deliver(id) {
+    return attempt(id);
+  }
+
+  async function flush() {
+    if (flushing) return;
+    flushing = true;
+
+    try {
+      const now = Date.now();
+      const due = (await listOutbox()).filter(e => e.status === "pending" && e.next_attempt_at <= now);
+      for (const entry of due) {
+        await attempt(entry.id);
+      }
+    } finally {
+      flushing = false;
+    }
+  }
+
+  // Loads the entry itself: a copy listed earlier may have been sent since
+  async function attempt(id) {
+    if (inFlight.has(id)) return loadOutboxEntry(id);
+    inFlight.add(id);
+
+    try {
+      const entry = await loadOutboxEntry(id);
+      if (!entry || entry.status !== "pending") return entry || null;
+
+      await send(entry);
+      await saveOutboxEntry(entry);
+      onChange(entry);
+      return entry;
+    } finally {
+      inFlight.delete(id);
+    }
+  }
+
+  async function send(entry) {
+    // Entries queued before secrets were looked up still carry one
+    delete entry.destination.secret;
+    entry.attempts++;
+    let retryable = true;
+
+    try {
+      const { url, headers } = entry.destination;
+      const body = JSON.stringify(entry.payload);
+      const request = {
+        "Content-Type": "application/json",
+        ...headers,
+        "Idempotency-Key": entry.payload.idempotency_key
+      };
+
+      const signature = await sign(entry.destination.id, body);
+      if (signature === false) {
+        retryable = false;
+        throw new Error("Signing unavailable (needs https)");
+      }
+      if (signature) request["X-VBT-Signature"] = signature;
+
+      const response = await fetch(url, { method: "POST", headers: request, body });
+
+      if (response.ok) {
+        entry.status = "sent";
+        entry.sent_at = new Date().toISOString();
+        entry.last_error = null;
+      } else {
+        entry.last_error = `HTTP ${response.status}`;
+        retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+      }
+    } catch (e) {
+      entry.last_error = e.message || "Network error";
+    }
+
+    if (entry.status !== "sent") {
+      if (!retryable || entry.attempts >= config.OUTBOX_MAX_ATTEMPTS) {
+        entry.status = "failed";
+      } else {
+        entry.next_attempt_at = Date.now() + backoffMs(entry.attempts, config);
+      }
+    }
+  }
+
+  // null when unsigned, false when the browser can't sign
+  async function sign(destinationId, body) {
+    const secret = secretFor(destinationId);
+    if (!secret) return null;
+    try {
+      return await signBody(body, secret);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Manual resend works for any status, including already-sent entries
+  async function resend(id) {
+    const entry = await loadOutboxEntry(id);
+    if (!entry) return null;
+
+    entry.status = "pending";
+    entry.attempts = 0;
+    entry.next_attempt_at = 0;
+    await saveOutboxEntry(entry);
+    return attempt(id);
+  }
+
+  // True while a request for the entry is on its way
+  function isSending(id) {
+    return inFlight.has(id);
+  }
+
+  async function remove(id) {
+    await deleteOutboxEntry(id);
+    onChange(null);
+  }
+
+  return {
+    enqueue,
+    deliver,
+    flush,
+    resend,
+    remove,
+    isSending,
+    list: listOutbox
+  };
+}
+
+export function backoffMs(attempts, config = CONFIG) {
+  return Math.min(config.OUTBOX_RETRY_MAX_MS, config.OUTBOX_RETRY_BASE_MS * 2 ** (attempts - 1));
+}
+
+// SHA-256 of the payload where available (secure contexts), FNV-1a otherwise
+export async function idempotencyKey(payload) {
+  const text = JSON.stringify(payload);
+
+  if (globalThis.crypto && globalThis.crypto.subtle) {
+    const digest = await globalThis.crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+    return "vbt-" + Array.from(new Uint8Array(digest).slice(0, 16), b => b.toString(16).padStart(2, "0")).join("");
+  }
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return `vbt-${hash.toString(16).padStart(8, "0")}-${text.length}`;
+}
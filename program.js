@@ -0,0 +1,252 @@
+/**
+ * VBT v3.5 - WORKOUT PROGRAMS
+ * DOM-free interval timer for structured sessions (EMOM, ladders,
+ * Tempered-style work/rest). Detected sets are matched to the prescribed
+ * slot they started in and compared against its targets.
+ *
+ * Program format:
+ *   { name, blocks: [{ movement, reps, hand, workSec, restSec, rounds }] }
+ *
+ * - `reps` can be an array for ladders (one round per entry)
+ * - `complex: { clean: 1, press: 3 }` replaces movement/reps for complexes
+ * - `hand` is "left", "right", "both", "any" or "alternate"
+ */
+
+import { CONFIG } from "./config.js";
+
+const MOVEMENT_LISTS = {
+  clean: "cleans",
+  press: "presses",
+  snatch: "snatches",
+  swing: "swings",
+  squat: "squats"
+};
+
+export function createWorkoutProgram(program, config = CONFIG) {
+  const slots = buildSchedule(program);
+  const totalMs = slots.length ? slots[slots.length - 1].endMs : 0;
+
+  const run = {
+    startMs: null,
+    lastMs: null,
+    finished: false,
+    results: slots.map(() => null)
+  };
+
+  function start(timeMs) {
+    if (run.startMs !== null) return;
+    run.startMs = timeMs;
+    run.lastMs = timeMs;
+  }
+
+  function tick(timeMs) {
+    if (run.startMs === null) start(timeMs);
+    run.lastMs = timeMs;
+
+    const elapsed = timeMs - run.startMs;
+
+    // Any slot whose window has fully passed without a set is missed
+    slots.forEach((slot, i) => {
+      if (!run.results[i] && elapsed >= slot.endMs) {
+        run.results[i] = { slot: i, status: "missed", ...describeSlot(slot) };
+      }
+    });
+
+    if (elapsed >= totalMs) run.finished = true;
+    return snapshot();
+  }
+
+  // Sets belong to the slot whose window they start in. Starting during the
+  // rest of an already-filled slot counts as an early start of the next one.
+  function assignSet(set, timeMs) {
+    if (run.startMs === null || run.finished) return null;
+
+    const elapsed = timeMs - run.startMs;
+    let index = slots.findIndex(slot => elapsed < slot.endMs);
+    if (index === -1) return null;
+
+    if (run.results[index] && index + 1 < slots.length) index++;
+    if (run.results[index]) return null;
+
+    const slot = slots[index];
+    const offsetSec = (elapsed - slot.startMs) / 1000;
+    const tolerance = config.PROGRAM_TIMING_TOLERANCE_SEC;
+
+    run.results[index] = {
+      slot: index,
+      status: "in_progress",
+      ...describeSlot(slot),
+      set_id: set.id,
+      start_offset_sec: offsetSec,
+      timing: offsetSec < -tolerance ? "early" : offsetSec > tolerance ? "late" : "on_time"
+    };
+
+    set.program = run.results[index];
+    return run.results[index];
+  }
+
+  function completeSet(set) {
+    const result = run.results.find(r => r && r.set_id === set.id && r.status === "in_progress");
+    if (!result) return null;
+
+    return gradeProgramSet(result, set);
+  }
+
+  function snapshot() {
+    const elapsed = run.startMs === null ? 0 : run.lastMs - run.startMs;
+    const index = slots.findIndex(slot => elapsed < slot.endMs);
+
+    if (index === -1) {
+      return { started: run.startMs !== null, finished: true, phase: "done", slotIndex: slots.length, slotCount: slots.length, current: null, next: null, remainingMs: 0 };
+    }
+
+    const slot = slots[index];
+    const inWork = elapsed < slot.startMs + slot.workMs;
+
+    return {
+      started: run.startMs !== null,
+      finished: false,
+      phase: inWork ? "work" : "rest",
+      slotIndex: index,
+      slotCount: slots.length,
+      current: slot,
+      next: slots[index + 1] || null,
+      remainingMs: (inWork ? slot.startMs + slot.workMs : slot.endMs) - elapsed,
+      result: run.results[index]
+    };
+  }
+
+  function summary() {
+    return {
+      name: program.name,
+      started: run.startMs !== null,
+      finished: run.finished,
+      slots: run.results.map((result, i) => result || { slot: i, status: "pending", ...describeSlot(slots[i]) })
+    };
+  }
+
+  return {
+    program,
+    slots,
+    state: run,
+    start,
+    tick,
+    assignSet,
+    completeSet,
+    snapshot,
+    summary
+  };
+}
+
+// Expands blocks into a flat list of timed slots
+export function buildSchedule(program) {
+  const slots = [];
+  let cursorMs = 0;
+
+  (program.blocks || []).forEach((block, blockIndex) => {
+    const repsList = Array.isArray(block.reps) ? block.reps : null;
+    const rounds = repsList ? repsList.length : (block.rounds || 1);
+
+    for (let round = 0; round < rounds; round++) {
+      const targets = block.complex
+        ? { ...block.complex }
+        : { [block.movement]: repsList ? repsList[round] : block.reps };
+
+      const workMs = (block.workSec || 60) * 1000;
+      const restMs = (block.restSec || 0) * 1000;
+
+      slots.push({
+        block: blockIndex,
+        round: round + 1,
+        targets,
+        hand: resolveHand(block.hand, round),
+        workMs,
+        restMs,
+        startMs: cursorMs,
+        endMs: cursorMs + workMs + restMs
+      });
+
+      cursorMs += workMs + restMs;
+    }
+  });
+
+  return slots;
+}
+
+export function validateProgram(program) {
+  if (!program || typeof program.name !== "string" || !Array.isArray(program.blocks) || !program.blocks.length) {
+    return "Program needs a name and at least one block.";
+  }
+
+  for (const [i, block] of program.blocks.entries()) {
+    const movements = block.complex ? Object.keys(block.complex) : [block.movement];
+    const unknown = movements.find(m => !MOVEMENT_LISTS[m]);
+    if (unknown) return `Block ${i + 1}: unknown movement "${unknown}".`;
+    if (!block.complex && block.reps === undefined) return `Block ${i + 1}: missing reps.`;
+
+    const reps = block.complex ? Object.values(block.complex) : [].concat(block.reps);
+    if (!reps.length || !reps.every(isPositiveCount)) return `Block ${i + 1}: reps must be whole numbers above 0.`;
+    if (block.workSec !== undefined && !(typeof block.workSec === "number" && block.workSec > 0)) {
+      return `Block ${i + 1}: workSec must be a number above 0.`;
+    }
+    if (block.restSec !== undefined && !(typeof block.restSec === "number" && block.restSec >= 0)) {
+      return `Block ${i + 1}: restSec must be a number of 0 or more.`;
+    }
+    if (block.rounds !== undefined && !isPositiveCount(block.rounds)) return `Block ${i + 1}: rounds must be a whole number above 0.`;
+  }
+
+  return null;
+}
+
+// Compares a set with the slot it was matched to. Rep review calls this
+// again after an edit so the result follows the corrected reps.
+export function gradeProgramSet(result, set) {
+  const detected = {};
+  const repDiff = {};
+
+  Object.keys(result.prescribed).forEach(movement => {
+    detected[movement] = (set[MOVEMENT_LISTS[movement]] || []).length;
+    repDiff[movement] = detected[movement] - result.prescribed[movement];
+  });
+
+  const diffs = Object.values(repDiff);
+  result.detected = detected;
+  result.rep_diff = repDiff;
+  result.status = diffs.some(d => d < 0) ? "under" : diffs.some(d => d > 0) ? "over" : "on_target";
+  result.hand_ok = result.hand === "any" || handsUsed(set, Object.keys(result.prescribed)).every(hand => hand === result.hand);
+  result.duration_sec = set.endTime && set.startTime ? (new Date(set.endTime) - new Date(set.startTime)) / 1000 : null;
+
+  return result;
+}
+
+export function formatTargets(targets) {
+  return Object.entries(targets)
+    .map(([movement, reps]) => `${reps} ${reps === 1 ? movement : MOVEMENT_LISTS[movement]}`)
+    .join(" + ");
+}
+
+// Hands that did any of the given movements, from the rep-level counts
+// (a single-bell set can switch hands part way)
+function handsUsed(set, movements) {
+  const perHand = (set.summary && set.summary.per_hand) || {};
+  return Object.keys(perHand).filter(hand => movements.some(m => perHand[hand][MOVEMENT_LISTS[m]] > 0));
+}
+
+function isPositiveCount(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+function resolveHand(hand, round) {
+  if (hand === "alternate") return round % 2 === 0 ? "left" : "right";
+  return hand || "any";
+}
+
+function describeSlot(slot) {
+  return {
+    block: slot.block,
+    round: slot.round,
+    prescribed: slot.targets,
+    hand: slot.hand,
+    scheduled_start_sec: slot.startMs / 1000
+  };
+}
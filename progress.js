@@ -0,0 +1,102 @@
+/**
+ * VBT v3.5 - PROGRESS
+ * DOM-free trends across saved sessions, per athlete and movement: each
+ * session's best and average peak velocity, every set's velocity drop-off,
+ * volume, and snatch test results.
+ *
+ * Drop-off is worked out again from each set's reps with summarizeFatigue(),
+ * the same baseline and drop the engine reports live for cleans and presses.
+ */
+
+import { CONFIG } from "./config.js";
+import { summarizeFatigue } from "./engine.js";
+
+export const PROGRESS_MOVEMENTS = [
+  { id: "clean", label: "Cleans", list: "cleans", fatigue: "clean" },
+  { id: "press", label: "Presses", list: "presses", fatigue: "press" },
+  { id: "snatch", label: "Snatches", list: "snatches", fatigue: "snatch" },
+  { id: "swing", label: "Swings", list: "swings", fatigue: "swing" },
+  { id: "squat", label: "Front Squats", list: "squats", fatigue: null }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Athletes that have saved sessions: [{ id, name }], named from their latest session
+export function sessionAthletes(sessions) {
+  const athletes = new Map();
+  [...sessions]
+    .sort((a, b) => (a.started_at < b.started_at ? -1 : 1))
+    .forEach(record => athletes.set(record.athlete_id, { id: record.athlete_id, name: record.athlete_name || null }));
+  return [...athletes.values()];
+}
+
+// The athlete's sessions with at least one set, oldest first
+export function athleteSessions(sessions, athleteId) {
+  return sessions
+    .filter(record => record.athlete_id === athleteId && (record.sets || []).length)
+    .sort((a, b) => (a.started_at < b.started_at ? -1 : 1));
+}
+
+// One point per session with reps of the movement:
+// { date, session_id, best, average, reps, volume_kg, set_drops, max_drop }
+export function movementTrend(sessions, movementId, config = CONFIG) {
+  const movement = PROGRESS_MOVEMENTS.find(m => m.id === movementId);
+  if (!movement) return [];
+
+  return sessions.map(record => {
+    const sets = (record.sets || []).filter(set => (set[movement.list] || []).length);
+    const reps = sets.flatMap(set => set[movement.list]);
+    if (!reps.length) return null;
+
+    // Reps added by hand may have no velocity
+    const peaks = reps.map(rep => rep.velocity).filter(v => v > 0);
+    const masses = reps.map(rep => rep.mass_kg).filter(kg => kg > 0);
+    const drops = movement.fatigue
+      ? sets.map(set => summarizeFatigue(set, config)[movement.fatigue].max_drop).filter(drop => drop !== null)
+      : [];
+
+    return {
+      date: new Date(record.started_at).getTime(),
+      session_id: record.id,
+      best: peaks.length ? Math.max(...peaks) : null,
+      average: peaks.length ? peaks.reduce((a, b) => a + b, 0) / peaks.length : null,
+      reps: reps.length,
+      volume_kg: masses.length ? masses.reduce((a, b) => a + b, 0) : null,
+      set_drops: drops,
+      max_drop: drops.length ? Math.max(...drops) : null
+    };
+  }).filter(Boolean);
+}
+
+// Sessions that ran a snatch test, oldest first
+export function snatchTestTrend(sessions) {
+  return sessions
+    .filter(record => record.snatch_test)
+    .map(record => ({
+      date: new Date(record.started_at).getTime(),
+      session_id: record.id,
+      protocol: record.snatch_test.protocol,
+      label: record.snatch_test.label,
+      reps: record.snatch_test.total_reps,
+      reps_per_min: record.snatch_test.reps_per_min,
+      passed: record.snatch_test.passed
+    }));
+}
+
+// Least-squares change per week of `key` over the points' dates; null with
+// fewer than two points or all on the same day
+export function weeklyChange(points, key) {
+  const usable = points.filter(p => p[key] !== null && p[key] !== undefined);
+  if (usable.length < 2) return null;
+
+  const days = usable.map(p => (p.date - usable[0].date) / DAY_MS);
+  const values = usable.map(p => p[key]);
+  const meanDay = days.reduce((a, b) => a + b, 0) / days.length;
+  const meanValue = values.reduce((a, b) => a + b, 0) / values.length;
+
+  const spread = days.reduce((sum, d) => sum + (d - meanDay) ** 2, 0);
+  if (spread === 0) return null;
+
+  const slope = days.reduce((sum, d, i) => sum + (d - meanDay) * (values[i] - meanValue), 0) / spread;
+  return slope * 7;
+}
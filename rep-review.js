@@ -0,0 +1,195 @@
+/**
+ * VBT v3.5 - REP REVIEW
+ * DOM-free corrections to finished sets: relabel, delete or insert reps,
+ * split a set in two or merge two neighbours. Every edit re-runs
+ * summarizeSet() so counts and fatigue baselines follow, and re-grades the
+ * set's program slot if it has one.
+ *
+ * Edits stay visible in the data: changed reps get `edited: "relabeled"`
+ * (with `original_type`) or `edited: "inserted"`, deleted reps move to
+ * `set.deleted_reps`, and the set gets `edited: true` plus an `edits` log.
+ */
+
+import { CONFIG, REP_LISTS } from "./config.js";
+import { summarizeSet } from "./engine.js";
+import { gradeProgramSet } from "./program.js";
+
+const SINGLE_TYPES = {
+  cleans: ["CLEAN_FROM_FLOOR", "RE_CLEAN"],
+  presses: ["PRESS"],
+  snatches: ["SNATCH"],
+  swings: ["SWING"],
+  squats: []
+};
+
+const DOUBLE_TYPES = {
+  cleans: ["DOUBLE_CLEAN", "DOUBLE_RE_CLEAN"],
+  presses: ["DOUBLE_PRESS"],
+  snatches: ["DOUBLE_SNATCH"],
+  swings: ["DOUBLE_SWING"],
+  squats: ["DOUBLE_FRONT_SQUAT"]
+};
+
+// Rep types a set can hold, given its bells
+export function repTypesFor(set) {
+  const types = set.bells === "double" ? DOUBLE_TYPES : SINGLE_TYPES;
+  return REP_LISTS.flatMap(list => types[list]);
+}
+
+export function listForType(type) {
+  return REP_LISTS.find(list => SINGLE_TYPES[list].includes(type) || DOUBLE_TYPES[list].includes(type)) || null;
+}
+
+// Every rep of the set in the order it happened: [{ list, index, rep }]
+export function setReps(set) {
+  return REP_LISTS
+    .flatMap(list => (set[list] || []).map((rep, index) => ({ list, index, rep })))
+    .sort((a, b) => repTime(a.rep) - repTime(b.rep));
+}
+
+function repTime(rep) {
+  return rep.time_ms !== undefined && rep.time_ms !== null ? rep.time_ms : rep.timestamp || 0;
+}
+
+export function relabelRep(set, list, index, type, config = CONFIG) {
+  const target = listForType(type);
+  const rep = set[list][index];
+  if (!target || !rep || rep.type === type) return set;
+
+  if (!rep.edited) {
+    rep.original_type = rep.type;
+    rep.edited = "relabeled";
+  }
+  rep.type = type;
+
+  set[list].splice(index, 1);
+  addToList(set, target, rep);
+  return finishEdit(set, { action: "relabel", type }, config);
+}
+
+export function deleteRep(set, list, index, config = CONFIG) {
+  const [rep] = set[list].splice(index, 1);
+  if (!rep) return set;
+
+  set.deleted_reps = [...(set.deleted_reps || []), rep];
+  return finishEdit(set, { action: "delete", type: rep.type }, config);
+}
+
+// A missed rep, placed right after `after` (or at the start of the set).
+// Its velocity is whatever the coach enters, null when unknown.
+export function insertRep(set, type, { after = null, velocity = null } = {}, config = CONFIG) {
+  const list = listForType(type);
+  if (!list) return set;
+
+  const next = after ? setReps(set).find(({ rep }) => repTime(rep) > repTime(after)) : setReps(set)[0];
+  const start = after ? repTime(after) : (next ? repTime(next.rep) - 2 : set.lockedAtMs || 0);
+  const end = next ? repTime(next.rep) : start + 2;
+  const timeMs = (start + end) / 2;
+  const neighbour = after ? after.timestamp + 1 : next && next.rep.timestamp - 1;
+  const timestamp = neighbour || Date.now();
+
+  // Video time runs alongside engine time, so a neighbour's offset carries over
+  const timed = [after, next && next.rep].find(rep => rep && rep.video_time_ms !== null && rep.video_time_ms !== undefined);
+  const videoTimeMs = timed ? timeMs + (timed.video_time_ms - timed.time_ms) : null;
+
+  addToList(set, list, {
+    type,
+    velocity: velocity > 0 ? velocity : null,
+    hand: after ? after.hand : set.hand,
+    timestamp,
+    time_ms: timeMs,
+    video_time_ms: videoTimeMs,
+    mcv: null,
+    low_confidence: false,
+    edited: "inserted"
+  });
+  return finishEdit(set, { action: "insert", type }, config);
+}
+
+// A signal's `rep` follows the reps added or removed before it
+function renumberSignal(set, signal) {
+  return { ...signal, rep: setReps(set).filter(({ rep }) => repTime(rep) <= signal.time_ms).length };
+}
+
+// Keeps the list in the order the reps happened
+function addToList(set, list, rep) {
+  set[list] = set[list] || [];
+  const at = set[list].findIndex(other => repTime(other) > repTime(rep));
+  if (at === -1) set[list].push(rep);
+  else set[list].splice(at, 0, rep);
+}
+
+function finishEdit(set, edit, config) {
+  if (set.stop_signal) set.stop_signal = renumberSignal(set, set.stop_signal);
+  set.edited = true;
+  set.edits = [...(set.edits || []), { ...edit, at: new Date().toISOString() }];
+  set.summary = summarizeSet(set, config);
+  // Only a finished set has been graded
+  if (set.program && set.program.status !== "in_progress") gradeProgramSet(set.program, set);
+  return set;
+}
+
+// ============================================
+// SETS
+// ============================================
+
+// Splits history[setIndex] after the given rep; returns the new set. `id`
+// comes from the engine (engine.claimSetId()) so later sets don't reuse it.
+export function splitSet(history, setIndex, afterRep, id, config = CONFIG) {
+  const set = history[setIndex];
+  const cut = repTime(afterRep);
+  const second = {
+    ...set,
+    id,
+    program: null,
+    edits: [],
+    deleted_reps: []
+  };
+
+  REP_LISTS.forEach(list => {
+    const reps = set[list] || [];
+    set[list] = reps.filter(rep => repTime(rep) <= cut);
+    second[list] = reps.filter(rep => repTime(rep) > cut);
+  });
+  set.switches = (set.switches || []).filter(sw => sw.timeMs <= cut);
+  second.switches = (second.switches || []).filter(sw => sw.timeMs > cut);
+
+  const firstOfSecond = setReps(second)[0];
+  if (firstOfSecond) {
+    second.lockedAtMs = repTime(firstOfSecond.rep);
+    if (firstOfSecond.rep.timestamp) second.startTime = new Date(firstOfSecond.rep.timestamp);
+  }
+  if (afterRep.timestamp) set.endTime = new Date(afterRep.timestamp);
+  set.endedAtMs = cut;
+  // The stop signal stays with the half whose rep raised it
+  if (set.stop_signal && set.stop_signal.time_ms > cut) set.stop_signal = null;
+  else second.stop_signal = null;
+
+  history.splice(setIndex + 1, 0, second);
+  finishEdit(set, { action: "split" }, config);
+  finishEdit(second, { action: "split" }, config);
+  return second;
+}
+
+// Folds history[setIndex + 1] into history[setIndex]
+export function mergeSets(history, setIndex, config = CONFIG) {
+  const set = history[setIndex];
+  const next = history[setIndex + 1];
+  if (!set || !next) return set;
+
+  REP_LISTS.forEach(list => {
+    set[list] = [...(set[list] || []), ...(next[list] || [])].sort((a, b) => repTime(a) - repTime(b));
+  });
+  set.switches = [...(set.switches || []), ...(next.switches || [])];
+  set.deleted_reps = [...(set.deleted_reps || []), ...(next.deleted_reps || [])];
+  set.edits = [...(set.edits || []), ...(next.edits || [])];
+  set.endTime = next.endTime;
+  set.endedAtMs = next.endedAtMs;
+
+  // The earlier signal is the one the merged set would have raised
+  const signals = [set.stop_signal, next.stop_signal].filter(Boolean).sort((a, b) => a.time_ms - b.time_ms);
+  set.stop_signal = signals[0] || null;
+
+  history.splice(setIndex + 1, 1);
+  return finishEdit(set, { action: "merge" }, config);
+}
@@ -0,0 +1,195 @@
+/**
+ * VBT v3.5 - DETECTION SETTINGS
+ * DOM-free schema, validation and presets for the CONFIG values the
+ * settings panel can change at run time. Keys are CONFIG paths
+ * ("DROP_WARN", "MOVEMENT.PRESS_VELOCITY_THRESHOLD"); a settings object is
+ * a flat { key: value } map over them.
+ *
+ * Presets are kept in localStorage and can be shared as a link:
+ *   ?settings=<base64url JSON { name, values }>   or   ?preset=<saved name>
+ */
+
+import { CONFIG } from "./config.js";
+
+const PRESETS_KEY = "vbt-settings-presets";
+const ACTIVE_KEY = "vbt-settings-active";
+
+export const SETTINGS = [
+  { key: "MOVEMENT.PRESS_VELOCITY_THRESHOLD", group: "Classification", label: "Press/snatch split", unit: "m/s", min: 0.3, max: 6, step: 0.05 },
+  { key: "MOVEMENT.SNATCH_MIN_HEIGHT_ABOVE_SHOULDER", group: "Classification", label: "Snatch height above shoulder", unit: "frame", min: -0.2, max: 0.5, step: 0.01 },
+  { key: "MOVEMENT.CLEAN_RACK_HEIGHT_MIN", group: "Classification", label: "Rack window top (from shoulder)", unit: "frame", min: -0.5, max: 0.5, step: 0.01 },
+  { key: "MOVEMENT.CLEAN_RACK_HEIGHT_MAX", group: "Classification", label: "Rack window bottom (from shoulder)", unit: "frame", min: -0.5, max: 0.5, step: 0.01 },
+  { key: "MOVEMENT.CLEAN_HORIZONTAL_PROXIMITY", group: "Classification", label: "Rack distance from torso", unit: "frame", min: 0.02, max: 0.5, step: 0.01 },
+  { key: "MOVEMENT.SWING_MAX_HEIGHT_ABOVE_SHOULDER", group: "Classification", label: "Swing top (above shoulder)", unit: "frame", min: -0.3, max: 0.5, step: 0.01 },
+  { key: "MOVEMENT.SWING_MIN_HEIGHT_ABOVE_HIP", group: "Classification", label: "Swing bottom (above hip)", unit: "frame", min: -0.2, max: 0.8, step: 0.01 },
+  { key: "MOVEMENT.FRONT_SQUAT_START_DROP", group: "Classification", label: "Squat start hip drop", unit: "torso", min: 0.02, max: 0.5, step: 0.01 },
+  { key: "MOVEMENT.FRONT_SQUAT_MIN_DEPTH", group: "Classification", label: "Squat minimum depth", unit: "torso", min: 0.1, max: 1.5, step: 0.05 },
+
+  { key: "LOCKOUT_VY_CUTOFF", group: "Lockout", label: "Lockout vertical speed", unit: "m/s", min: 0.1, max: 3, step: 0.05 },
+  { key: "LOCKOUT_SPEED_CUTOFF", group: "Lockout", label: "Lockout speed", unit: "m/s", min: 0.2, max: 5, step: 0.1 },
+  { key: "SMOOTHING_ALPHA", group: "Lockout", label: "Velocity smoothing", unit: "", min: 0.01, max: 1, step: 0.01 },
+
+  { key: "RESET_GRACE_MS_AFTER_LOCK", group: "Sets", label: "Grace before a set can end", unit: "ms", min: 0, max: 30000, step: 500, integer: true },
+
+  { key: "BASELINE_REPS", group: "Fatigue", label: "Baseline reps", unit: "reps", min: 1, max: 10, step: 1, integer: true },
+  { key: "DROP_WARN", group: "Fatigue", label: "Drop-off warning", unit: "%", min: 1, max: 100, step: 1 },
+  { key: "DROP_FAIL", group: "Fatigue", label: "Drop-off stop", unit: "%", min: 1, max: 100, step: 1 },
+  { key: "DROP_METRIC", group: "Fatigue", label: "Drop-off metric", options: ["peak", "mcv"] },
+
+  { key: "VELOCITY_LOSS_CUTOFF_CLEAN", group: "Autoregulation", label: "Clean velocity-loss cutoff (0 = off)", unit: "%", min: 0, max: 60, step: 1 },
+  { key: "VELOCITY_LOSS_CUTOFF_PRESS", group: "Autoregulation", label: "Press velocity-loss cutoff (0 = off)", unit: "%", min: 0, max: 60, step: 1 },
+  { key: "VELOCITY_LOSS_CUTOFF_SNATCH", group: "Autoregulation", label: "Snatch velocity-loss cutoff (0 = off)", unit: "%", min: 0, max: 60, step: 1 },
+  { key: "VELOCITY_LOSS_CUTOFF_SWING", group: "Autoregulation", label: "Swing velocity-loss cutoff (0 = off)", unit: "%", min: 0, max: 60, step: 1 },
+  { key: "SET_REP_TARGET", group: "Autoregulation", label: "Rep target (0 = none)", unit: "reps", min: 0, max: 100, step: 1, integer: true },
+  { key: "REST_BASE_SEC", group: "Autoregulation", label: "Rest with no velocity loss", unit: "s", min: 0, max: 600, step: 5, integer: true },
+  { key: "REST_SEC_PER_LOSS_PCT", group: "Autoregulation", label: "Extra rest per % lost", unit: "s", min: 0, max: 30, step: 0.5 },
+  { key: "REST_MAX_SEC", group: "Autoregulation", label: "Longest suggested rest", unit: "s", min: 0, max: 1200, step: 15, integer: true },
+
+  { key: "MIN_LANDMARK_VISIBILITY", group: "Tracking", label: "Minimum landmark visibility", unit: "", min: 0, max: 1, step: 0.05 },
+  { key: "LANDMARK_MAX_GAP_MS", group: "Tracking", label: "Longest extrapolated dropout", unit: "ms", min: 0, max: 200, step: 10, integer: true },
+  { key: "LOW_CONFIDENCE_TRACKING", group: "Tracking", label: "Low-confidence rep below", unit: "", min: 0, max: 1, step: 0.05 }
+];
+
+export function getSetting(config, key) {
+  return key.split(".").reduce((obj, part) => (obj ? obj[part] : undefined), config);
+}
+
+// Every setting's value in the given config
+export function currentSettings(config = CONFIG) {
+  const values = {};
+  SETTINGS.forEach(s => { values[s.key] = getSetting(config, s.key); });
+  return values;
+}
+
+// Returns { values, errors }: values holds only the settings that passed,
+// errors maps a key to what is wrong with it
+export function validateSettings(input) {
+  const values = {};
+  const errors = {};
+
+  SETTINGS.forEach(s => {
+    if (!(s.key in input)) return;
+    const raw = input[s.key];
+
+    if (s.options) {
+      if (s.options.includes(raw)) values[s.key] = raw;
+      else errors[s.key] = `one of ${s.options.join(", ")}`;
+      return;
+    }
+
+    const value = typeof raw === "number" ? raw : parseFloat(raw);
+    if (!Number.isFinite(value)) {
+      errors[s.key] = "not a number";
+    } else if (value < s.min || value > s.max) {
+      errors[s.key] = `between ${s.min} and ${s.max}`;
+    } else if (s.integer && !Number.isInteger(value)) {
+      errors[s.key] = "a whole number";
+    } else {
+      values[s.key] = value;
+    }
+  });
+
+  crossCheck(values, errors, "MOVEMENT.CLEAN_RACK_HEIGHT_MIN", "MOVEMENT.CLEAN_RACK_HEIGHT_MAX", "above the rack window bottom");
+  crossCheck(values, errors, "DROP_WARN", "DROP_FAIL", "below the stop level");
+
+  return { values, errors };
+}
+
+// Both present and in the wrong order: the lower one is rejected
+function crossCheck(values, errors, lowKey, highKey, message) {
+  if (lowKey in values && highKey in values && values[lowKey] >= values[highKey]) {
+    errors[lowKey] = message;
+    delete values[lowKey];
+  }
+}
+
+// Config layer for mergeConfig() / engine.configure()
+export function settingsLayer(values) {
+  const layer = { MOVEMENT: {} };
+  Object.entries(values).forEach(([key, value]) => {
+    const [first, second] = key.split(".");
+    if (second) layer[first][second] = value;
+    else layer[first] = value;
+  });
+  return layer;
+}
+
+// ============================================
+// PRESETS
+// ============================================
+
+export function loadPresets() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PRESETS_KEY));
+    if (saved && typeof saved === "object") return saved;
+  } catch (e) {
+    console.warn("Settings presets unreadable:", e);
+  }
+  return {};
+}
+
+export function savePreset(name, values) {
+  const presets = loadPresets();
+  presets[name] = validateSettings(values).values;
+  localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+  return presets;
+}
+
+export function deletePreset(name) {
+  const presets = loadPresets();
+  delete presets[name];
+  localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+  return presets;
+}
+
+// The settings in use, kept across reloads: { name, values }
+export function loadActiveSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ACTIVE_KEY));
+    if (saved && saved.values) return { name: saved.name || null, values: validateSettings(saved.values).values };
+  } catch (e) {
+    console.warn("Active settings unreadable:", e);
+  }
+  return null;
+}
+
+export function saveActiveSettings(name, values) {
+  localStorage.setItem(ACTIVE_KEY, JSON.stringify({ name, values }));
+}
+
+// ============================================
+// SHARE LINKS
+// ============================================
+
+export function encodeSettings(name, values) {
+  const bytes = new TextEncoder().encode(JSON.stringify({ name, values }));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+export function decodeSettings(text) {
+  const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+  const data = JSON.parse(new TextDecoder().decode(bytes));
+  return { name: data.name || null, ...validateSettings(data.values || {}) };
+}
+
+// { name, values, errors } from ?settings= or ?preset=, null when neither
+export function settingsFromUrl(search, presets = loadPresets()) {
+  const params = new URLSearchParams(search);
+
+  if (params.has("settings")) {
+    try {
+      return decodeSettings(params.get("settings"));
+    } catch (e) {
+      return { name: null, values: {}, errors: { settings: "unreadable settings link" } };
+    }
+  }
+
+  if (params.has("preset")) {
+    const name = params.get("preset");
+    if (presets[name]) return { name, ...validateSettings(presets[name]) };
+    return { name, values: {}, errors: { preset: `no saved preset "${name}"` } };
+  }
+
+  return null;
+}
@@ -0,0 +1,146 @@
+/**
+ * VBT v3.5 - SNATCH TEST PROTOCOLS
+ * DOM-free timed test: countdown, per-hand counts, pace projection and a
+ * pass/fail result. Driven by engine time, so it works the same for live
+ * camera, file analysis and trace replay.
+ */
+
+export function createSnatchTest(protocol) {
+  const test = {
+    protocol,
+    startMs: null,
+    lastMs: null,
+    completedAtMs: null,
+    finished: false,
+    reps: { left: 0, right: 0 }
+  };
+
+  const durationMs = protocol.durationSec * 1000;
+
+  // Clock starts on the first hike of the first set
+  function start(timeMs) {
+    if (test.startMs !== null) return;
+    test.startMs = timeMs;
+    test.lastMs = timeMs;
+  }
+
+  // Single-bell protocols: double-bell reps (hand "both") aren't counted.
+  // Returns whether the rep counted.
+  function addRep(rep, timeMs) {
+    if (test.startMs === null || test.finished) return false;
+    if (timeMs - test.startMs > durationMs) return false;
+    if (rep.hand !== "left" && rep.hand !== "right") return false;
+
+    test.reps[rep.hand]++;
+
+    if (protocol.targetReps && total() >= protocol.targetReps && test.completedAtMs === null) {
+      test.completedAtMs = timeMs;
+      test.finished = true;
+    }
+    return true;
+  }
+
+  function tick(timeMs) {
+    if (test.startMs !== null && !test.finished) {
+      test.lastMs = timeMs;
+      if (timeMs - test.startMs >= durationMs) test.finished = true;
+    }
+    return snapshot();
+  }
+
+  function total() {
+    return test.reps.left + test.reps.right;
+  }
+
+  function elapsedMs() {
+    if (test.startMs === null) return 0;
+    const end = test.completedAtMs !== null ? test.completedAtMs : test.lastMs;
+    return Math.min(durationMs, end - test.startMs);
+  }
+
+  function snapshot() {
+    const elapsed = elapsedMs();
+    const remainingMs = durationMs - elapsed;
+    const reps = total();
+
+    // Too early in the test for the rate to mean anything
+    const projected = elapsed >= 10000 && reps > 0 ? Math.floor(reps / elapsed * durationMs) : null;
+
+    let onPace = null;
+    let requiredPace = null;
+    if (protocol.targetReps) {
+      const repsLeft = Math.max(0, protocol.targetReps - reps);
+      requiredPace = remainingMs > 0 ? repsLeft / (remainingMs / 60000) : null;
+      if (projected !== null) onPace = projected >= protocol.targetReps;
+    }
+
+    const minPerHand = protocol.minPerHand || 0;
+    const handsShort = {
+      left: Math.max(0, minPerHand - test.reps.left),
+      right: Math.max(0, minPerHand - test.reps.right)
+    };
+
+    return {
+      started: test.startMs !== null,
+      finished: test.finished,
+      elapsedMs: elapsed,
+      remainingMs,
+      total: reps,
+      left: test.reps.left,
+      right: test.reps.right,
+      projected,
+      onPace,
+      requiredPace,
+      handsShort
+    };
+  }
+
+  function result() {
+    if (test.startMs === null) return null;
+
+    const snap = snapshot();
+    const failReasons = [];
+
+    if (protocol.targetReps && snap.total < protocol.targetReps) {
+      failReasons.push(`${snap.total}/${protocol.targetReps} reps in ${formatClock(durationMs)}`);
+    }
+    ["left", "right"].forEach(hand => {
+      if (snap.handsShort[hand] > 0) {
+        failReasons.push(`${hand} hand ${snap[hand]}/${protocol.minPerHand}`);
+      }
+    });
+
+    return {
+      protocol: protocol.id,
+      label: protocol.label,
+      duration_sec: protocol.durationSec,
+      target_reps: protocol.targetReps || null,
+      min_per_hand: protocol.minPerHand || 0,
+      finished: snap.finished,
+      elapsed_sec: snap.elapsedMs / 1000,
+      completed_in_sec: test.completedAtMs !== null ? (test.completedAtMs - test.startMs) / 1000 : null,
+      total_reps: snap.total,
+      left_reps: snap.left,
+      right_reps: snap.right,
+      reps_per_min: snap.elapsedMs > 0 ? snap.total / (snap.elapsedMs / 60000) : 0,
+      passed: failReasons.length === 0,
+      fail_reasons: failReasons
+    };
+  }
+
+  return {
+    state: test,
+    start,
+    addRep,
+    tick,
+    snapshot,
+    result
+  };
+}
+
+export function formatClock(ms) {
+  const totalSec = Math.max(0, Math.ceil(ms / 1000));
+  const min = Math.floor(totalSec / 60);
+  const sec = totalSec % 60;
+  return `${min}:${String(sec).padStart(2, "0")}`;
+}
@@ -0,0 +1,136 @@
+/**
+ * VBT v3.5 - SESSION STORAGE
+ * IndexedDB persistence for sessions so a reload, crash or reset doesn't
+ * lose completed sets. A session stays `finished: false` until it is
+ * closed, which is how an interrupted one is found again after a reload.
+ *
+ * Record: { id, athlete_id, started_at, updated_at, finished,
+ *           snatch_test, program, sets }
+ *
+ * The same database holds the export outbox (see outbox.js) and athlete
+ * profiles (see athletes.js).
+ */
+
+const DB_NAME = "vbt-sessions";
+const DB_VERSION = 3;
+const STORE = "sessions";
+const OUTBOX_STORE = "outbox";
+const ATHLETE_STORE = "athletes";
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE)) {
+        const store = db.createObjectStore(STORE, { keyPath: "id" });
+        store.createIndex("started_at", "started_at");
+      }
+      if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+        db.createObjectStore(OUTBOX_STORE, { keyPath: "id" });
+      }
+      if (!db.objectStoreNames.contains(ATHLETE_STORE)) {
+        db.createObjectStore(ATHLETE_STORE, { keyPath: "id" });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Let a later call retry after a failed open
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+async function withStore(mode, fn, storeName = STORE) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export function createSessionId() {
+  return `session-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export function saveSession(record) {
+  return withStore("readwrite", store => store.put({ ...record, updated_at: new Date().toISOString() }));
+}
+
+export function loadSession(id) {
+  return withStore("readonly", store => store.get(id));
+}
+
+export function deleteSession(id) {
+  return withStore("readwrite", store => store.delete(id));
+}
+
+// Newest first
+export async function listSessions() {
+  const sessions = await withStore("readonly", store => store.getAll());
+  return sessions.sort((a, b) => (a.started_at < b.started_at ? 1 : -1));
+}
+
+export async function findUnfinishedSession() {
+  const sessions = await listSessions();
+  return sessions.find(s => !s.finished && s.sets && s.sets.length) || null;
+}
+
+// ============================================
+// OUTBOX
+// ============================================
+
+export function saveOutboxEntry(entry) {
+  return withStore("readwrite", store => store.put(entry), OUTBOX_STORE);
+}
+
+export function loadOutboxEntry(id) {
+  return withStore("readonly", store => store.get(id), OUTBOX_STORE);
+}
+
+export function deleteOutboxEntry(id) {
+  return withStore("readwrite", store => store.delete(id), OUTBOX_STORE);
+}
+
+// Oldest first, the order they go out in
+export async function listOutbox() {
+  const entries = await withStore("readonly", store => store.getAll(), OUTBOX_STORE);
+  return entries.sort((a, b) => (a.created_at < b.created_at ? -1 : 1));
+}
+
+// ============================================
+// ATHLETES
+// ============================================
+
+export function saveAthlete(athlete) {
+  return withStore("readwrite", store => store.put({ ...athlete, updated_at: new Date().toISOString() }), ATHLETE_STORE);
+}
+
+export function loadAthlete(id) {
+  return withStore("readonly", store => store.get(id), ATHLETE_STORE);
+}
+
+export function deleteAthlete(id) {
+  return withStore("readwrite", store => store.delete(id), ATHLETE_STORE);
+}
+
+// By name
+export async function listAthletes() {
+  const athletes = await withStore("readonly", store => store.getAll(), ATHLETE_STORE);
+  return athletes.sort((a, b) => a.name.localeCompare(b.name));
+}
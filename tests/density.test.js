@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { summarizeTempo, restBetween, summarizeSession, formatWorkRest } from "../density.js";
+
+function press(timeMs, tutMs = 1500) {
+  return { type: "PRESS", time_ms: timeMs, tut_ms: tutMs, eccentric_ms: 500 };
+}
+
+function makeSet(lockedAtMs, endedAtMs, presses, extra = {}) {
+  return { clock: "c1", lockedAtMs, endedAtMs, cleans: [], presses, snatches: [], swings: [], squats: [], ...extra };
+}
+
+test("rest is the gap between one set's end and the next one's lock", () => {
+  const first = makeSet(0, 30000, []);
+  const second = makeSet(90000, 120000, []);
+
+  assert.equal(restBetween(first, second), 60000);
+});
+
+test("rest falls back to wall-clock times across engine clocks", () => {
+  const first = makeSet(0, 30000, [], { endTime: "2026-01-01T10:00:30Z" });
+  const second = makeSet(0, 30000, [], { clock: "c2", startTime: "2026-01-01T10:02:00Z" });
+
+  assert.equal(restBetween(first, second), 90000);
+  assert.equal(restBetween({}, {}), null);
+});
+
+test("work:rest adds up set durations against the rests between them", () => {
+  const sets = [
+    makeSet(0, 30000, [press(5000), press(10000)]),
+    makeSet(90000, 120000, [press(95000), press(100000)])
+  ];
+  const density = summarizeSession(sets);
+
+  assert.equal(density.work_ms, 60000);
+  assert.equal(density.rest_ms, 60000);
+  assert.deepEqual(density.rests_ms, [null, 60000]);
+  assert.equal(density.work_rest_ratio, 1);
+  assert.equal(density.reps_per_min, 2);
+  assert.equal(formatWorkRest(density.work_rest_ratio), "1:1.0");
+});
+
+test("no rest leaves the ratio unset", () => {
+  const density = summarizeSession([makeSet(0, 30000, [press(5000)])]);
+
+  assert.equal(density.work_rest_ratio, null);
+  assert.equal(formatWorkRest(density.work_rest_ratio), "--");
+});
+
+test("tempo reports rep intervals and time under tension", () => {
+  const tempo = summarizeTempo(makeSet(0, 60000, [press(10000), press(14000), press(20000)]));
+
+  assert.deepEqual(tempo.rep_intervals_ms, [4000, 6000]);
+  assert.equal(tempo.mean_interval_ms, 5000);
+  assert.equal(tempo.reps_per_min, 3);
+  assert.equal(tempo.total_tut_ms, 4500);
+  assert.equal(tempo.mean_eccentric_ms, 500);
+});
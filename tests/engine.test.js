@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRepEngine } from "../engine.js";
+import { CONFIG } from "../config.js";
+import { buildFrames, CLEAN_PRESS } from "./poses.js";
+
+const EVENTS = ["setStarted", "phaseChanged", "repRecorded", "fatigueUpdated", "setEnded"];
+
+function runCleanPress() {
+  const engine = createRepEngine({ ...CONFIG, DEBUG_MODE: false });
+  const events = [];
+  EVENTS.forEach(name => engine.on(name, data => events.push({ name, data })));
+
+  buildFrames(CLEAN_PRESS).forEach(frame => engine.processFrame(frame));
+  engine.endSet();
+  return events;
+}
+
+test("emits a clean then a press inside one set", () => {
+  const events = runCleanPress();
+  const names = events.filter(e => e.name !== "phaseChanged").map(e => e.name);
+
+  assert.deepEqual(names, ["setStarted", "fatigueUpdated", "repRecorded", "fatigueUpdated", "repRecorded", "setEnded"]);
+
+  const reps = events.filter(e => e.name === "repRecorded").map(e => e.data.kind);
+  assert.deepEqual(reps, ["clean", "press"]);
+});
+
+test("walks the phases of each rep in order", () => {
+  const phases = runCleanPress().filter(e => e.name === "phaseChanged").map(e => e.data.phase);
+
+  assert.deepEqual(phases, ["BOTTOM", "CONCENTRIC", "LOCKOUT", "CONCENTRIC", "LOCKOUT", "BOTTOM"]);
+});
+
+test("ends the set with the reps it recorded", () => {
+  const ended = runCleanPress().find(e => e.name === "setEnded");
+  const { summary } = ended.data.set;
+
+  assert.equal(summary.total_cleans, 1);
+  assert.equal(summary.floor_cleans, 1);
+  assert.equal(summary.total_presses, 1);
+  assert.equal(ended.data.set.hand, "left");
+});
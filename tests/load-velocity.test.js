@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fitLoadVelocity, estimateLoadAtVelocity, pressProfiles } from "../load-velocity.js";
+import { CONFIG } from "../config.js";
+
+const config = { ...CONFIG, LV_METRIC: "mcv" };
+
+function press(hand, massKg, mcv) {
+  return { type: "PRESS", hand, mass_kg: massKg, mcv, velocity: mcv + 0.3 };
+}
+
+test("no fit without two different loads", () => {
+  assert.equal(fitLoadVelocity([]), null);
+  assert.equal(fitLoadVelocity([{ load_kg: 16, velocity: 0.9 }]), null);
+  assert.equal(fitLoadVelocity([{ load_kg: 16, velocity: 0.9 }, { load_kg: 16, velocity: 0.8 }]), null);
+  assert.equal(estimateLoadAtVelocity(null, 0.2), null);
+});
+
+test("one bell size gives points but no estimate", () => {
+  const sets = [
+    { id: 1, presses: [press("right", 16, 0.9), press("right", 16, 0.85)] },
+    { id: 2, presses: [press("right", 16, 0.8)] }
+  ];
+  const profile = pressProfiles(sets, 0.2, config).right;
+
+  assert.equal(profile.points.length, 2);
+  assert.equal(profile.fit, null);
+  assert.equal(profile.e1rm_kg, null);
+});
+
+test("two loads fit a line down to the minimal velocity", () => {
+  const sets = [
+    { id: 1, presses: [press("right", 16, 0.9)] },
+    { id: 2, presses: [press("right", 24, 0.5)] }
+  ];
+  const profile = pressProfiles(sets, 0.2, config).right;
+
+  assert.equal(profile.fit.loads, 2);
+  assert.ok(Math.abs(profile.fit.slope + 0.05) < 1e-9);
+  assert.ok(Math.abs(profile.e1rm_kg - 30) < 1e-9);
+});
+
+test("presses without a known hand are counted, not profiled", () => {
+  const sets = [{ id: 1, presses: [press(undefined, 16, 0.9), press("left", 16, 0.8)] }];
+  const profiles = pressProfiles(sets, 0.2, config);
+
+  assert.equal(profiles.unattributed, 1);
+  assert.equal(profiles.left.points.length, 1);
+  assert.equal(profiles.left.points[0].velocity, 0.8);
+});
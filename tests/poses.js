@@ -0,0 +1,56 @@
+// Synthetic pose streams for engine tests: a standing athlete seen from the
+// front, with the wrists moved through keyframes
+
+const VISIBLE = { z: 0, visibility: 0.99 };
+
+export function makePose(leftWrist, rightWrist) {
+  const pose = Array.from({ length: 33 }, () => ({ x: 0.5, y: 0.5, ...VISIBLE }));
+  pose[11] = { x: 0.55, y: 0.3, ...VISIBLE };
+  pose[12] = { x: 0.45, y: 0.3, ...VISIBLE };
+  pose[23] = { x: 0.54, y: 0.55, ...VISIBLE };
+  pose[24] = { x: 0.46, y: 0.55, ...VISIBLE };
+  pose[25] = { x: 0.54, y: 0.75, ...VISIBLE };
+  pose[26] = { x: 0.46, y: 0.75, ...VISIBLE };
+  pose[15] = { ...leftWrist, ...VISIBLE };
+  pose[16] = { ...rightWrist, ...VISIBLE };
+  return pose;
+}
+
+// Keyframes are [seconds, x, y] for the left wrist; the right one rests at
+// the hip. Positions are interpolated linearly between keyframes.
+export function buildFrames(keys, fps = 30) {
+  const frames = [];
+  const end = keys[keys.length - 1][0];
+
+  for (let t = 0; t <= end; t += 1 / fps) {
+    frames.push({
+      timeMs: 1000 + t * 1000,
+      width: 1280,
+      height: 720,
+      pose: makePose(wristAt(keys, t), { x: 0.46, y: 0.55 })
+    });
+  }
+  return frames;
+}
+
+function wristAt(keys, t) {
+  let i = 0;
+  while (i < keys.length - 2 && keys[i + 1][0] < t) i++;
+
+  const [t0, x0, y0] = keys[i];
+  const [t1, x1, y1] = keys[i + 1];
+  const f = t1 === t0 ? 1 : Math.min(1, Math.max(0, (t - t0) / (t1 - t0)));
+  return { x: x0 + (x1 - x0) * f, y: y0 + (y1 - y0) * f };
+}
+
+// Hike to the floor, clean to the rack, press and hold overhead, back to
+// the rack, drop the bell and stand up
+export const CLEAN_PRESS = [
+  [0, 0.55, 0.70], [0.3, 0.55, 0.90],
+  [0.6, 0.55, 0.92], [0.9, 0.55, 0.85],
+  [1.2, 0.55, 0.36], [2.2, 0.55, 0.36],
+  [2.8, 0.55, 0.08], [4.5, 0.55, 0.08],
+  [5.5, 0.55, 0.36], [6.5, 0.55, 0.36],
+  [7.0, 0.55, 0.65], [7.4, 0.55, 0.90], [8.0, 0.55, 0.92],
+  [12, 0.55, 0.92], [12.3, 0.55, 0.6], [13, 0.55, 0.6]
+];
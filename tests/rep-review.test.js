@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { relabelRep, deleteRep, insertRep, splitSet, mergeSets } from "../rep-review.js";
+import { summarizeSet } from "../engine.js";
+import { createWorkoutProgram } from "../program.js";
+import { CONFIG } from "../config.js";
+
+function rep(type, timeMs, velocity = 1) {
+  return { type, velocity, mcv: null, hand: "left", time_ms: timeMs, timestamp: 1000000 + timeMs, low_confidence: false };
+}
+
+function makeSet(id, reps) {
+  const set = {
+    id,
+    hand: "left",
+    bells: "single",
+    lockedAtMs: reps[0].time_ms - 500,
+    endedAtMs: reps[reps.length - 1].time_ms + 500,
+    cleans: reps.filter(r => r.type === "CLEAN_FROM_FLOOR" || r.type === "RE_CLEAN"),
+    presses: reps.filter(r => r.type === "PRESS"),
+    snatches: reps.filter(r => r.type === "SNATCH"),
+    swings: reps.filter(r => r.type === "SWING"),
+    squats: [],
+    switches: []
+  };
+  set.summary = summarizeSet(set, CONFIG);
+  return set;
+}
+
+test("relabeling moves the rep and its count", () => {
+  const set = makeSet(1, [rep("CLEAN_FROM_FLOOR", 1000), rep("RE_CLEAN", 2000), rep("PRESS", 3000)]);
+  relabelRep(set, "cleans", 1, "SWING");
+
+  assert.equal(set.summary.total_cleans, 1);
+  assert.equal(set.summary.total_swings, 1);
+  assert.equal(set.swings[0].original_type, "RE_CLEAN");
+  assert.equal(set.edited, true);
+});
+
+test("deleting keeps the rep in deleted_reps and drops it from the counts", () => {
+  const set = makeSet(1, [rep("PRESS", 1000), rep("PRESS", 2000)]);
+  deleteRep(set, "presses", 0);
+
+  assert.equal(set.summary.total_presses, 1);
+  assert.equal(set.deleted_reps.length, 1);
+  assert.equal(set.summary.per_hand.left.presses, 1);
+});
+
+test("inserting places the rep between its neighbours", () => {
+  const set = makeSet(1, [rep("PRESS", 1000), rep("PRESS", 3000)]);
+  insertRep(set, "PRESS", { after: set.presses[0], velocity: 0.9 });
+
+  assert.equal(set.summary.total_presses, 3);
+  assert.equal(set.presses[1].time_ms, 2000);
+  assert.equal(set.presses[1].edited, "inserted");
+});
+
+test("splitting divides the reps and uses the given id", () => {
+  const set = makeSet(1, [rep("CLEAN_FROM_FLOOR", 1000), rep("PRESS", 2000), rep("PRESS", 8000)]);
+  const history = [set];
+  const second = splitSet(history, 0, set.presses[0], 7);
+
+  assert.equal(history.length, 2);
+  assert.equal(second.id, 7);
+  assert.equal(set.summary.total_presses, 1);
+  assert.equal(set.summary.total_cleans, 1);
+  assert.equal(second.summary.total_presses, 1);
+  assert.equal(second.summary.total_cleans, 0);
+});
+
+test("merging joins the next set's reps in time order", () => {
+  const history = [
+    makeSet(1, [rep("PRESS", 1000), rep("PRESS", 2000)]),
+    makeSet(2, [rep("PRESS", 5000), rep("SNATCH", 6000)])
+  ];
+  const merged = mergeSets(history, 0);
+
+  assert.equal(history.length, 1);
+  assert.equal(merged.summary.total_presses, 3);
+  assert.equal(merged.summary.total_snatches, 1);
+  assert.deepEqual(merged.presses.map(r => r.time_ms), [1000, 2000, 5000]);
+});
+
+test("an edit re-grades the set's program slot", () => {
+  const workout = createWorkoutProgram({ name: "EMOM", blocks: [{ movement: "press", reps: 2, workSec: 60 }] });
+  const set = makeSet(1, [rep("PRESS", 1000), rep("PRESS", 2000), rep("PRESS", 3000)]);
+  workout.start(0);
+  workout.assignSet(set, 500);
+  assert.equal(workout.completeSet(set).status, "over");
+
+  deleteRep(set, "presses", 2);
+
+  assert.equal(set.program.status, "on_target");
+  assert.deepEqual(set.program.detected, { press: 2 });
+});
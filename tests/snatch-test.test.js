@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSnatchTest } from "../snatch-test.js";
+
+const PROTOCOL = { id: "100_IN_5", label: "100 Snatches in 5:00", durationSec: 300, targetReps: 100, minPerHand: 40 };
+
+test("counts single-bell snatches per hand", () => {
+  const snatchTest = createSnatchTest(PROTOCOL);
+  snatchTest.start(0);
+
+  assert.equal(snatchTest.addRep({ hand: "left" }, 1000), true);
+  assert.equal(snatchTest.addRep({ hand: "right" }, 2000), true);
+  assert.equal(snatchTest.addRep({ hand: "right" }, 3000), true);
+
+  const snap = snatchTest.snapshot();
+  assert.equal(snap.left, 1);
+  assert.equal(snap.right, 2);
+});
+
+test("does not count double-bell snatches towards either hand", () => {
+  const snatchTest = createSnatchTest(PROTOCOL);
+  snatchTest.start(0);
+
+  for (let i = 0; i < 50; i++) {
+    assert.equal(snatchTest.addRep({ hand: "both" }, 1000 + i * 1000), false);
+  }
+
+  const snap = snatchTest.snapshot();
+  assert.equal(snap.total, 0);
+  assert.deepEqual(snap.handsShort, { left: 40, right: 40 });
+});
@@ -0,0 +1,206 @@
+/**
+ * VBT v3.5 - THRESHOLD WIZARD
+ * DOM-free guided calibration of CONFIG.MOVEMENT from prompted reps. The
+ * athlete does a few swings, cleans, presses and snatches; each rep's top
+ * is found without the movement thresholds (rise, then a stable hold) and
+ * its peak velocity, height against the shoulder and hip, and distance from
+ * the torso are kept. deriveThresholds() turns those into the press/snatch
+ * split, rack window, rack proximity and swing band.
+ *
+ * Heights and distances are in normalized frame units, like CONFIG.MOVEMENT:
+ * `up` is how far the wrist is above the shoulder, `aboveHip` above the hip.
+ */
+
+import { CONFIG } from "./config.js";
+import { isLandmarkUsable } from "./landmarks.js";
+import { SETTINGS } from "./settings.js";
+
+export const WIZARD_STEPS = ["swing", "clean", "press", "snatch"];
+
+const RISE_VY = -0.4;
+const DESCENT_VY = 0.4;
+const MIN_RISE = 0.1;
+const HOLD_FRAMES = 2;
+const MARGIN = 0.04;
+
+export function createThresholdWizard(config = CONFIG) {
+  const wizard = {
+    stepIndex: 0,
+    samples: { swing: [], clean: [], press: [], snatch: [] },
+    finished: false,
+    rep: createRepTracker()
+  };
+
+  function step() {
+    return wizard.finished ? null : WIZARD_STEPS[wizard.stepIndex];
+  }
+
+  // One frame of the locked side; returns the sample when a rep top is found
+  function observe({ pose, side, speed, vy }) {
+    const movement = step();
+    if (!movement) return null;
+
+    const point = measure(pose, side, config);
+    if (!point) return null;
+
+    const rep = wizard.rep;
+    rep.lowestY = Math.max(rep.lowestY, point.wristY);
+
+    if (rep.phase === "WAIT") {
+      if (vy < RISE_VY) {
+        rep.phase = "RISE";
+        rep.peak = 0;
+        rep.holdFrames = 0;
+      }
+      return null;
+    }
+
+    if (rep.phase === "RISE") {
+      rep.peak = Math.max(rep.peak, speed);
+
+      const stable = Math.abs(vy) < config.LOCKOUT_VY_CUTOFF && speed < config.LOCKOUT_SPEED_CUTOFF;
+      rep.holdFrames = stable ? rep.holdFrames + 1 : 0;
+
+      // A pause on the way up that isn't really a top
+      if (rep.holdFrames >= HOLD_FRAMES && rep.lowestY - point.wristY < MIN_RISE) {
+        wizard.rep = createRepTracker();
+        return null;
+      }
+
+      if (rep.holdFrames >= HOLD_FRAMES) {
+        const sample = { peak: rep.peak, up: point.up, aboveHip: point.aboveHip, dist: point.dist };
+        wizard.samples[movement].push(sample);
+        rep.phase = "DESCEND";
+        return sample;
+      }
+      return null;
+    }
+
+    // Re-armed once the bell comes back down
+    if (rep.phase === "DESCEND" && vy > DESCENT_VY) {
+      wizard.rep = createRepTracker();
+      wizard.rep.lowestY = point.wristY;
+    }
+    return null;
+  }
+
+  function nextStep() {
+    wizard.stepIndex++;
+    wizard.rep = createRepTracker();
+    if (wizard.stepIndex >= WIZARD_STEPS.length) wizard.finished = true;
+  }
+
+  function snapshot() {
+    const movement = step();
+    return {
+      step: movement,
+      stepNumber: wizard.stepIndex + 1,
+      steps: WIZARD_STEPS.length,
+      reps: movement ? wizard.samples[movement].length : 0,
+      target: config.THRESHOLD_WIZARD_REPS,
+      stepDone: movement ? wizard.samples[movement].length >= config.THRESHOLD_WIZARD_REPS : false,
+      finished: wizard.finished
+    };
+  }
+
+  return {
+    state: wizard,
+    observe,
+    nextStep,
+    snapshot,
+    result: () => deriveThresholds(wizard.samples, config)
+  };
+}
+
+function createRepTracker() {
+  return { phase: "WAIT", peak: 0, holdFrames: 0, lowestY: -Infinity };
+}
+
+// Wrist against the same landmarks getWristZone() uses
+function measure(pose, side, config) {
+  const idx = side === "left" ? config.LEFT : config.RIGHT;
+  const wrist = pose[idx.WRIST];
+  const shoulder = pose[idx.SHOULDER];
+  const hip = pose[idx.HIP];
+  if (![wrist, shoulder, hip].every(lm => isLandmarkUsable(lm, config))) return null;
+
+  const shoulders = [pose[config.LEFT.SHOULDER], pose[config.RIGHT.SHOULDER]].filter(lm => isLandmarkUsable(lm, config));
+  const torsoCenter = shoulders.reduce((sum, lm) => sum + lm.x, 0) / shoulders.length;
+
+  return {
+    wristY: wrist.y,
+    up: shoulder.y - wrist.y,
+    aboveHip: hip.y - wrist.y,
+    dist: Math.abs(wrist.x - torsoCenter)
+  };
+}
+
+// ============================================
+// THRESHOLDS
+// ============================================
+
+// Returns { thresholds, warnings }. A threshold is only derived when the
+// movements it separates were recorded; overlapping distributions are split
+// down the middle and reported.
+export function deriveThresholds(samples, config = CONFIG) {
+  const thresholds = {};
+  const warnings = [];
+  const { swing, clean, press, snatch } = samples;
+
+  // Swings must clear the split too, so they count as ballistic
+  const ballistic = [...snatch, ...swing].map(s => s.peak);
+  if (press.length && ballistic.length) {
+    const slowest = Math.min(...ballistic);
+    const fastest = Math.max(...press.map(s => s.peak));
+    if (fastest >= slowest) warnings.push(`Press and snatch/swing velocities overlap (${fastest.toFixed(2)} ≥ ${slowest.toFixed(2)} m/s)`);
+    thresholds.PRESS_VELOCITY_THRESHOLD = (fastest + slowest) / 2;
+  }
+
+  // Rack window in "below the shoulder" terms, as the config stores it
+  if (clean.length) {
+    const below = clean.map(s => -s.up);
+    thresholds.CLEAN_RACK_HEIGHT_MIN = Math.min(...below) - MARGIN;
+    thresholds.CLEAN_RACK_HEIGHT_MAX = Math.max(...below) + MARGIN;
+
+    const rackDist = Math.max(...clean.map(s => s.dist)) + MARGIN;
+    const swingDist = swing.length ? Math.min(...swing.map(s => s.dist)) : Infinity;
+    if (rackDist >= swingDist) {
+      warnings.push("Some swing tops were as close to the torso as the rack");
+      thresholds.CLEAN_HORIZONTAL_PROXIMITY = (rackDist - MARGIN + swingDist) / 2;
+    } else {
+      thresholds.CLEAN_HORIZONTAL_PROXIMITY = rackDist;
+    }
+  }
+
+  if (swing.length) {
+    thresholds.SWING_MAX_HEIGHT_ABOVE_SHOULDER = Math.max(...swing.map(s => s.up)) + MARGIN;
+    thresholds.SWING_MIN_HEIGHT_ABOVE_HIP = Math.max(0, Math.min(...swing.map(s => s.aboveHip)) - MARGIN);
+
+    // The engine only looks for swing tops from 0.1 below the shoulder up
+    if (swing.some(s => s.up < -0.1)) warnings.push("Some swings finished well below shoulder height and may not count");
+  }
+
+  const overhead = [...press, ...snatch].map(s => s.up);
+  const snatchMin = config.MOVEMENT.SNATCH_MIN_HEIGHT_ABOVE_SHOULDER;
+  if (overhead.some(up => up <= snatchMin)) {
+    warnings.push("Some press/snatch lockouts were below the overhead line (SNATCH_MIN_HEIGHT_ABOVE_SHOULDER)");
+  }
+  if ("SWING_MAX_HEIGHT_ABOVE_SHOULDER" in thresholds && thresholds.SWING_MAX_HEIGHT_ABOVE_SHOULDER > snatchMin) {
+    warnings.push("Swing tops reach the overhead line and may be read as snatches");
+  }
+
+  Object.keys(thresholds).forEach(key => {
+    thresholds[key] = clampToSetting(key, thresholds[key]);
+  });
+
+  return { thresholds, warnings };
+}
+
+// Kept inside the settings panel's ranges, rounded to its steps
+function clampToSetting(key, value) {
+  const setting = SETTINGS.find(s => s.key === `MOVEMENT.${key}`);
+  if (!setting) return value;
+
+  const clamped = Math.min(setting.max, Math.max(setting.min, value));
+  return Number((Math.round(clamped / setting.step) * setting.step).toFixed(4));
+}
@@ -0,0 +1,75 @@
+/**
+ * VBT v3.5 - POSE TRACES
+ * Record landmark frames and replay them through a rep engine.
+ * DOM-free so traces can be replayed in Node as well as the browser.
+ *
+ * Since version 2 a trace also keeps the engine setup that isn't in CONFIG
+ * (bell configuration, bell weights, calibration reference); replays apply
+ * it first so they run the same way whatever the UI is set to.
+ */
+
+export const TRACE_FORMAT = "vbt-pose-trace";
+export const TRACE_VERSION = 2;
+
+export function createTraceFrame(frame) {
+  const traceFrame = {
+    timeMs: frame.timeMs,
+    width: frame.width,
+    height: frame.height,
+    pose: frame.pose.map(copyLandmark)
+  };
+
+  if (frame.world) traceFrame.world = frame.world.map(copyLandmark);
+  return traceFrame;
+}
+
+function copyLandmark(lm) {
+  return { x: lm.x, y: lm.y, z: lm.z, visibility: lm.visibility, presence: lm.presence };
+}
+
+export function buildTrace({ frames, startedAt, source, config, setup }) {
+  const { EXPORT_DESTINATIONS, ...traceConfig } = config;
+
+  return {
+    format: TRACE_FORMAT,
+    version: TRACE_VERSION,
+    recorded_at: startedAt.toISOString(),
+    source,
+    config: traceConfig,
+    setup,
+    frames
+  };
+}
+
+export function traceSetup(engine) {
+  return {
+    bell_config: engine.state.bellConfig,
+    bell_kg: { ...engine.state.bellWeights },
+    calibration_reference: engine.getCalibrationReference()
+  };
+}
+
+// Version 1 traces have no setup; the engine keeps its own
+export function applyTraceSetup(engine, setup) {
+  if (!setup) return;
+
+  engine.setBellConfig(setup.bell_config);
+  engine.setBellWeights(setup.bell_kg || {});
+  engine.setCalibrationReference(setup.calibration_reference || {});
+}
+
+export function isTrace(data) {
+  return !!data && data.format === TRACE_FORMAT && Array.isArray(data.frames);
+}
+
+// Applies the trace's setup, pushes every frame through the engine in order,
+// then closes any set that was still open when the trace ended.
+export function replayTrace(trace, engine, onFrame) {
+  applyTraceSetup(engine, trace.setup);
+  trace.frames.forEach(frame => {
+    engine.processFrame(frame);
+    if (onFrame) onFrame(frame);
+  });
+
+  engine.endSet();
+}